@@ -6,10 +6,15 @@
 
 const GMAIL_SCOPES = [
   'https://www.googleapis.com/auth/gmail.readonly',
-  'https://www.googleapis.com/auth/gmail.modify'
+  'https://www.googleapis.com/auth/gmail.modify',
+  'https://www.googleapis.com/auth/gmail.send'
 ].join(' ');
 
-const PAGE_SIZE = 5;
+// 每页邮件数，用户可在设置中选择
+const DEFAULT_PAGE_SIZE = 5;
+const PAGE_SIZES = [5, 10, 20];
+// 全部账户模式下每个账户都要取一页候选邮件，每页数量 × 账户数不超过此值，控制单页的 Gmail 子请求数
+const UNIFIED_CANDIDATE_MAX = 30;
 
 // ==================== 主入口 ====================
 export default {
@@ -89,13 +94,12 @@ Sitemap: https://emailbot.loushi.de5.net/sitemap.xml`;
       
       // 邮件网页预览
       if (path.startsWith('/mail/')) {
-        return await handleMailView(path, env);
+        return await handleMailView(path, request, env);
       }
       
       // Pub/Sub 推送
       if (path === '/pubsub/push') {
-        const secret = url.searchParams.get('secret');
-        if (secret !== env.BOT_SECRET) {
+        if (!(await verifyPubSubRequest(request, url, env))) {
           return new Response('Unauthorized', { status: 401 });
         }
         const message = await request.json();
@@ -105,8 +109,7 @@ Sitemap: https://emailbot.loushi.de5.net/sitemap.xml`;
       
       // Telegram webhook
       if (path === '/webhook' && request.method === 'POST') {
-        const secret = url.searchParams.get('secret');
-        if (secret !== env.BOT_SECRET) {
+        if (!(await verifyTelegramRequest(request, url, env))) {
           return new Response('Unauthorized', { status: 401 });
         }
         const update = await request.json();
@@ -124,19 +127,820 @@ Sitemap: https://emailbot.loushi.de5.net/sitemap.xml`;
   },
 
   async scheduled(event, env, ctx) {
-    ctx.waitUntil(renewAllWatches(env));
+    ctx.waitUntil(Promise.all([
+      renewAllWatches(env),
+      processDueSnoozes(env),
+      processDigests(env),
+      processQuietQueues(env)
+    ]));
   }
 };
 
+// ==================== 多语言 ====================
+const DEFAULT_LANG = 'zh-CN';
+const SUPPORTED_LANGS = ['zh-CN', 'en'];
+const LANG_NAMES = { 'zh-CN': '简体中文', en: 'English' };
+
+// 文案目录：key 按功能分组，{name} 为插值参数；缺失的翻译回退到中文
+const MESSAGES = {
+  'zh-CN': {
+    'date.long': '{year}年{month}月{day}日 星期{weekday} {hours}:{minutes} ({zone})',
+    'date.weekdays': '日,一,二,三,四,五,六',
+    'date.months': '1月,2月,3月,4月,5月,6月,7月,8月,9月,10月,11月,12月',
+    'query.from': '📤 发件人：\n<code>{value}</code>',
+    'query.to': '📥 收件人\n{value}',
+    'query.subject': '📋 主题：{value}',
+    'query.cc': '📧 抄送\n{value}',
+    'query.bcc': '📧 密送\n{value}',
+    'query.label': '🏷️ 标签：{value}',
+    'query.inbox': '📬 收件箱',
+    'query.unread': '🔵 未读邮件',
+    'query.starred': '⭐ 星标邮件',
+    'query.attachment': '📎 有附件',
+    'query.sent': '📮 已发送',
+    'query.drafts': '📝 草稿箱',
+    'query.spam': '🗑️ 垃圾邮件',
+    'query.trash': '🗑️ 回收站',
+    'query.important': '❗ 重要邮件',
+    'query.read': '📖 已读邮件',
+    'query.today': '📅 今日',
+    'query.after': '📅 {value} 之后',
+    'query.before': '📅 {value} 之前',
+    'kb.inbox': '📬 收件箱',
+    'kb.today': '📅 今日',
+    'kb.starred': '⭐ 星标',
+    'kb.search': '🔍 搜索',
+    'kb.stats': '📊 统计',
+    'kb.readall': '✅ 全已读',
+    'kb.compose': '✉️ 写邮件',
+    'kb.labels': '🏷️ 标签',
+    'kb.accounts': '👤 账户管理',
+    'kb.settings': '⚙️ 设置',
+    'kb.home': '🏠 主菜单',
+    'token.expired': '⚠️ <b>账户授权已过期</b>\n\n📧 {email}\n\n请重新授权以继续使用。\n\n点击 <b>👤 账户管理</b> → <b>➕ 添加账户</b> 重新登录。',
+    'token.reauth': '🔐 重新授权',
+    'oauth.missingParams': '参数缺失',
+    'oauth.invalidState': 'State 无效',
+    'oauth.expired': '授权已过期，请重新登录',
+    'oauth.bound': '✅ 账户绑定成功！\n\n📧 {email}\n\n点击下方按钮开始使用',
+    'web.parseFailed': '无法解析邮件内容',
+    'web.noContent': '无邮件内容',
+    'mail.noSubject': '(无主题)',
+    'web.from': '发件人',
+    'web.to': '收件人',
+    'web.date': '时间',
+    'web.linkValid': '此链接 1 小时内有效',
+    'web.backToTelegram': '返回 Telegram',
+    'web.toLine': '收件人：{to}',
+    'web.thread': '会话',
+    'web.threadCount': '共 {count} 封邮件',
+    'web.expiredTitle': '链接已过期',
+    'web.expiredText': '此邮件预览链接已失效，请返回 Telegram 重新生成',
+    'web.authSuccess': '授权成功',
+    'web.authFailed': '授权失败',
+    'web.openTelegram': '📱 打开 Telegram',
+    'web.featureSecure': '🔒 安全加密',
+    'web.featureSync': '⚡ 实时同步',
+    'web.featurePreview': '🌐 网页预览',
+    'ai.noContent': '(无邮件内容)',
+    'ai.prompt': '你是一名邮件内容清理与摘要助手。\n\n任务：\n1. 清理邮件中的垃圾字符和HTML代码，包括：零宽字符、&nbsp;、追踪像素、隐藏元素、样式代码等。\n2. 提取邮件的核心信息，例如：验证码、会议时间、订单金额、重要通知、操作链接。\n3. 将内容压缩为 200字以内 的摘要。\n4. 输出为 Telegram HTML 格式，可使用：<b>加粗</b> 和 <a href="URL">链接</a>，禁止使用其他HTML标签。\n5. 如果检测到验证码（4-8位数字），优先突出显示：<b>验证码：123456</b>\n6. 如果原文不是中文，请翻译为中文。\n7. 删除营销内容、页脚、免责声明等无关信息。\n\n只输出最终摘要结果，不要解释，不要输出原文，不要输出任何其他内容。\n\n原始邮件内容：\n----------------------------------------\n{content}\n----------------------------------------',
+    'ai.failed': '(AI总结失败，请在浏览器查看完整邮件)',
+    'ai.error': '(AI总结出错，请在浏览器查看完整邮件)',
+    'reply.attribution': '{date} {from} 写道：',
+    'send.noPermission': '❌ 发送失败：账户缺少发送权限\n\n请在 👤 账户管理 中重新添加该账户以授予发送权限。',
+    'send.failed': '❌ 发送失败\n\n{error}',
+    'common.unknownError': '未知错误',
+    'search.prefix': '搜索 ',
+    'common.cancel': '❌ 取消',
+    'snooze.invalidTime': '⚠️ 无法识别的时间，请重新输入\n\n示例：2h、21:30、12-25 09:00',
+    'digest.invalidTime': '⚠️ 请输入 HH:mm 格式的时间，如 07:30',
+    'tz.invalid': '⚠️ 无效的时区名称，请输入 IANA 时区，如 Europe/Paris、America/Denver',
+    'welcome.accounts': '👤 当前账户: {active}\n📊 已绑定 {count} 个账户\n\n使用下方按钮操作 👇',
+    'welcome.noActive': '未选择',
+    'welcome.new': '👋 欢迎使用！\n\n请点击 *👤 账户管理* 添加 Gmail 账户',
+    'account.required': '⚠️ 请先绑定账户\n\n点击 *👤 账户管理* 添加 Gmail',
+    'list.messageMode': '📧 单封模式',
+    'list.threadMode': '💬 会话模式',
+    'undo.archive': '↩️ 撤销归档',
+    'undo.delete': '↩️ 撤销删除',
+    'list.empty': '没有找到匹配的邮件',
+    'common.refresh': '🔄 刷新',
+    'list.nextPage': '➡️ 下一页',
+    'list.readAll': '✅ 全部已读',
+    'account.loginExpired': '⚠️ 登录已过期，请重新绑定账户',
+    'detail.fetchFailed': '❌ 获取邮件失败',
+    'common.back': '⬅️ 返回',
+    'thread.fetchFailed': '❌ 获取会话失败',
+    'detail.markRead': '✅ 已读',
+    'detail.markUnread': '📩 未读',
+    'detail.unstar': '⭐ 取消',
+    'detail.star': '⭐ 星标',
+    'detail.reply': '↩️ 回复',
+    'detail.replyAll': '↩️ 全部回复',
+    'detail.forward': '➡️ 转发',
+    'detail.viewOriginal': '🌐 浏览器查看原文',
+    'detail.resummarize': '🔄 重新总结',
+    'detail.labels': '🏷️ 标签',
+    'detail.searchFrom': '🔍 搜索 {name} 的邮件',
+    'common.backToList': '⬅️ 返回列表',
+    'detail.unread': '🔵 未读',
+    'detail.read': '⚪️ 已读',
+    'detail.summarizing': '⏳ AI 正在总结邮件内容...',
+    'detail.attachments': '📎 附件: {count} 个',
+    'detail.aiSummary': '🤖 <b>AI摘要</b>',
+    'detail.summaryFailed': '❌ AI总结失败，请点击下方按钮在浏览器查看原文',
+    'thread.prev': '⬅️ 上一封',
+    'thread.next': '➡️ 下一封',
+    'thread.open': '📖 打开此邮件',
+    'thread.viewInBrowser': '🌐 浏览器查看整个会话',
+    'thread.title': '💬 <b>会话</b> ({index}/{total})',
+    'account.requiredShort': '⚠️ 请先绑定账户',
+    'stats.title': '📊 *邮箱统计*',
+    'stats.body': '📬 未读: *{unread}*\n📅 今日: *{today}*\n⭐ 星标: *{starred}*\n📁 总数: *{total}*\n',
+    'stats.viewUnread': '📬 查看未读',
+    'stats.viewToday': '📅 查看今日',
+    'accounts.title': '👤 *账户管理*',
+    'accounts.none': '📭 尚未绑定任何账户\n\n点击下方按钮添加',
+    'accounts.count': '已绑定 *{count}* 个账户:\n\n',
+    'accounts.current': ' (当前)',
+    'accounts.add': '➕ 添加账户',
+    'accounts.remove': '🗑️ 删除账户',
+    'login.text': '🔐 *添加 Gmail 账户*\n\n请点击下方按钮授权',
+    'login.authorize': '🔐 授权 Gmail',
+    'settings.title': '⚙️ *设置*',
+    'settings.account': '👤 账户: {account}',
+    'settings.noAccount': '未绑定',
+    'settings.push': '🔔 推送: {status}',
+    'common.on': '已开启',
+    'common.off': '已关闭',
+    'settings.digest': '📰 每日摘要: {status}',
+    'settings.digestDaily': '每天 {time}',
+    'settings.timezone': '🌍 时区: {timeZone} ({offset})',
+    'settings.language': '🌐 语言: {language}',
+    'settings.languageAuto': '（自动）',
+    'settings.pushOff': '🔕 关闭推送',
+    'settings.pushOn': '🔔 开启推送',
+    'settings.digestButton': '📰 每日摘要',
+    'settings.timezoneButton': '🌍 时区',
+    'settings.languageButton': '🌐 语言 / Language',
+    'settings.searchHelp': '🔍 搜索帮助',
+    'search.help': '🔍 *搜索邮件*\n\n发送: 搜索 关键词\n\n*示例:*\n• 搜索 会议\n• 搜索 from:test@qq.com\n• 搜索 subject:周报\n• 搜索 has:attachment',
+    'search.unread': '📬 未读',
+    'search.starred': '⭐ 星标',
+    'search.attachment': '📎 附件',
+    'search.week': '📅 本周',
+    'search.month': '📆 本月',
+    'readall.none': '✅ 没有未读邮件',
+    'readall.done': '✅ 已将 *{count}* 封邮件标记为已读',
+    'reply.title': '回复',
+    'reply.titleAll': '全部回复',
+    'reply.to': '📤 收件人: {to}',
+    'reply.cc': '📧 抄送: {cc}',
+    'reply.prompt': '✍️ 请直接发送回复内容',
+    'reply.sent': '✅ <b>已回复</b>',
+    'forward.prompt': '➡️ <b>转发邮件</b>\n\n请输入转发目标邮箱，多个地址用逗号分隔',
+    'forward.invalidAddress': '⚠️ 未识别到有效的邮箱地址，请重新输入',
+    'forward.notePrompt': '➡️ <b>转发给</b> {to}\n\n✍️ 请输入附言，或点击下方按钮直接转发',
+    'forward.skipNote': '⏭️ 不加附言，直接转发',
+    'forward.sent': '✅ <b>已转发</b>',
+    'tz.title': '🌍 <b>时区设置</b>',
+    'tz.body': '当前: {timeZone} ({offset})\n本地时间: {now}\n\n邮件时间、「今日」、稍后提醒和每日摘要都将按此时区计算（自动处理夏令时）。',
+    'tz.custom': '✏️ 输入其他时区',
+    'lang.title': '🌐 <b>语言设置</b>',
+    'lang.body': '当前: {language}\n\n默认跟随 Telegram 客户端语言，也可以在下方手动选择。',
+    'lang.auto': '🔄 跟随 Telegram',
+    'lang.changed': '✅ 语言已切换为简体中文',
+    'snooze.in1h': '1小时后',
+    'snooze.evening': '今晚 18:00',
+    'snooze.morning': '明早 08:00',
+    'snooze.monday': '下周一 08:00',
+    'common.customTime': '✏️ 自定义时间',
+    'snooze.backToMail': '⬅️ 返回邮件',
+    'snooze.title': '⏰ <b>稍后提醒</b>',
+    'snooze.menuText': '邮件将被归档，到时间后重新放回收件箱并提醒你',
+    'snooze.done': '⏰ 已设置稍后提醒\n\n📧 {email}\n🕐 {time}\n\n到时间后邮件将重新放回收件箱',
+    'digest.title': '📰 <b>每日摘要</b>',
+    'digest.description': '每天定时汇总上次摘要以来的未读邮件（所有已绑定账户），按发件人分组并附 AI 摘要。',
+    'digest.current': '当前: {status}',
+    'digest.currentDaily': '每天 {time}（{zone}）',
+    'digest.sendNow': '📰 立即发送',
+    'digest.turnOff': '🔕 关闭每日摘要',
+    'digest.since': '🕐 自 {time} 以来',
+    'digest.empty': '✅ 没有新的未读邮件',
+    'digest.more': '… 另有 {count} 封未读未列出',
+    'labels.title': '🏷️ <b>标签</b>',
+    'labels.none': '📭 暂无自定义标签',
+    'labels.unread': ' (<b>{count}</b> 未读)',
+    'labels.new': '➕ 新建标签',
+    'labels.pickerHint': '🏷️ 点击添加或移除标签:',
+    'labels.pickerEmpty': '🏷️ 暂无自定义标签，可新建一个',
+    'labels.createFailed': '❌ 创建标签失败\n\n{error}',
+    'compose.promptTo': '✉️ <b>写邮件</b> (1/3)\n\n请输入收件人邮箱，多个收件人用逗号分隔',
+    'compose.promptSubject': '✉️ <b>写邮件</b> (2/3)\n\n请输入邮件主题',
+    'compose.promptBody': '✉️ <b>写邮件</b> (3/3)\n\n请输入邮件正文',
+    'compose.invalidAddress': '⚠️ 未识别到有效的邮箱地址',
+    'compose.previewTitle': '✉️ <b>邮件预览</b>',
+    'compose.fromAccount': '👤 发件账户: {account}',
+    'compose.subject': '📋 主题: {subject}',
+    'compose.send': '📤 发送',
+    'compose.restart': '✏️ 重写',
+    'compose.expired': '⚠️ 草稿已过期，请重新写邮件',
+    'common.retry': '🔄 重试',
+    'compose.sent': '✅ <b>邮件已发送</b>',
+    'accounts.removePrompt': '🗑️ 选择要删除的账户:',
+    'detail.resummarizing': '⏳ 正在重新总结...',
+    'snooze.customPrompt': '⏰ 请输入提醒时间（{zone}）\n\n示例：\n• 2h（2小时后）\n• 21:30\n• 12-25 09:00',
+    'tz.customPrompt': '🌍 请输入 IANA 时区名称\n\n示例：Europe/Paris、America/Denver、Asia/Hong_Kong',
+    'digest.customPrompt': '📰 请输入每日摘要时间（{zone}，HH:mm），如 07:30',
+    'digest.expired': '⚠️ 摘要已过期，请从邮件列表查看',
+    'labels.newPrompt': '🏷️ 请输入新标签名称（使用 / 创建子标签，如 工作/发票）',
+    'detail.linkExpired': '⚠️ 邮件链接已过期，请从邮件列表重新打开',
+    'common.cancelled': '❌ 已取消',
+    'notify.expired': '⚠️ 邮件通知已过期（超过24小时），请从邮件列表查看',
+    'notify.noAccount': '⚠️ 账户未绑定或已过期',
+    'notify.markedRead': '✅ 已标记为已读',
+    'notify.viewInTelegram': '📖 在 Telegram 查看',
+    'notify.archived': '📥 已归档',
+    'notify.trashed': '🗑️ 已移至垃圾箱',
+    'notify.undo': '↩️ 撤销（{minutes}分钟内有效）',
+    'undo.expired': '⚠️ 撤销已过期',
+    'undo.archiveDone': '↩️ 已撤销归档',
+    'undo.deleteDone': '↩️ 已撤销删除',
+    'notify.title': '🔔 <b>新邮件</b>',
+    'notify.viewOriginal': '🌐 在浏览器中查看原文',
+    'notify.viewDetail': '📖 在 Telegram 查看详情',
+    'notify.archive': '📥 归档',
+    'notify.snooze': '⏰ 稍后提醒',
+    'notify.delete': '🗑️ 删除',
+    'rules.title': '🔔 <b>通知规则</b>',
+    'rules.description': '新邮件按顺序匹配规则，第一条命中的规则决定通知方式；都不命中时正常通知。',
+    'rules.none': '📭 暂无规则',
+    'rules.add': '➕ 添加规则',
+    'rules.test': '🧪 测试规则',
+    'rules.chooseField': '🔔 选择匹配条件:',
+    'rules.chooseAction': '🔔 条件: {condition}\n\n选择命中后的通知方式:',
+    'rules.valuePrompt.from': '📤 请输入发件人邮箱或名称（包含即匹配）',
+    'rules.valuePrompt.domain': '🌐 请输入发件人域名，如 github.com（含子域名）',
+    'rules.valuePrompt.subject': '📋 请输入主题关键词，多个用逗号分隔（任一命中即匹配）',
+    'rules.valuePrompt.label': '🏷️ 请输入标签名称',
+    'rules.chooseCategory': '📂 选择 Gmail 分类:',
+    'rules.labelNotFound': '⚠️ 未找到标签「{name}」，请重新输入',
+    'rules.added': '✅ 规则已添加',
+    'rules.testTitle': '🧪 <b>规则测试</b>（最近 5 封收件箱邮件）',
+    'rules.testEmpty': '📭 收件箱中没有邮件',
+    'rules.matched': '规则 {index}',
+    'rules.default': '默认',
+    'rules.field.from': '📤 发件人',
+    'rules.field.domain': '🌐 域名',
+    'rules.field.subject': '📋 主题关键词',
+    'rules.field.category': '📂 分类',
+    'rules.field.label': '🏷️ 标签',
+    'rules.action.loud': '🔔 响铃通知',
+    'rules.action.silent': '🔕 静默通知',
+    'rules.action.nosummary': '📄 通知（不含 AI 摘要）',
+    'rules.action.skip': '🚫 不通知',
+    'rules.category.primary': '主要',
+    'rules.category.social': '社交',
+    'rules.category.promotions': '推广',
+    'rules.category.updates': '动态',
+    'rules.category.forums': '论坛',
+    'settings.rulesButton': '🔔 通知规则',
+    'notify.snippet': '📄 <b>预览</b>',
+    'quiet.title': '🌙 <b>免打扰</b>',
+    'quiet.description': '免打扰期间新邮件不会单独推送，时段结束后汇总为一条消息发送。',
+    'quiet.status': '状态: {status}',
+    'quiet.window': '时段: {start}–{end}（{zone}）',
+    'quiet.days': '生效: {days}',
+    'quiet.days.everyday': '每天',
+    'quiet.days.weekdays': '工作日',
+    'quiet.days.weekends': '周末',
+    'quiet.vip': '⭐ VIP 不受限制: {status}\nVIP: {list}',
+    'quiet.vipNone': '未设置',
+    'quiet.turnOn': '🌙 开启免打扰',
+    'quiet.turnOff': '🔔 关闭免打扰',
+    'quiet.customWindow': '✏️ 自定义时段',
+    'quiet.vipOn': '⭐ 开启 VIP 绕过',
+    'quiet.vipOff': '⭐ 关闭 VIP 绕过',
+    'quiet.vipAdd': '➕ 添加 VIP',
+    'quiet.vipClear': '🗑️ 清空 VIP',
+    'quiet.windowPrompt': '🌙 请输入免打扰时段，格式 HH:mm-HH:mm，如 23:00-08:00',
+    'quiet.invalidWindow': '⚠️ 格式不正确，请输入如 23:00-08:00',
+    'quiet.vipPrompt': '⭐ 请输入 VIP 发件人邮箱或域名，多个用逗号分隔',
+    'quiet.summaryTitle': '🌙 <b>免打扰期间收到 {count} 封新邮件</b>',
+    'quiet.expired': '⚠️ 汇总已过期，请从邮件列表查看',
+    'settings.quiet': '🌙 免打扰: {status}',
+    'settings.quietButton': '🌙 免打扰',
+    'otp.code': '🔑 验证码: <code>{code}</code>',
+    'otp.link': '🔗 <a href="{url}">登录链接</a>',
+    'otp.copy': '📋 复制 {code}',
+    'otp.openLink': '🔗 打开登录链接',
+    'list.allAccounts': '🌐 <b>全部账户</b>',
+    'accounts.all': '全部账户',
+    'accounts.allModeOn': '\n🌐 邮件列表和搜索正在显示全部账户，写邮件、标签等仍使用当前账户\n',
+    'select.start': '☑️ 多选',
+    'select.header': '☑️ 多选模式：已选 {count} 封',
+    'select.headerAll': '☑️ 多选模式：已选择此查询匹配的全部邮件（包括其他页）',
+    'select.read': '✅ 已读',
+    'select.unread': '🔵 未读',
+    'select.star': '⭐ 星标',
+    'select.archive': '📥 归档',
+    'select.trash': '🗑️ 删除',
+    'select.label': '🏷️ 标签',
+    'select.all': '☑️ 全选所有匹配',
+    'select.clearAll': '↩️ 取消全选',
+    'select.exit': '❌ 退出多选',
+    'select.expired': '⚠️ 多选已过期，请重新进入多选',
+    'select.empty': '⚠️ 请先选择邮件',
+    'select.allActive': '已选择全部匹配的邮件，取消全选后可逐封选择',
+    'select.processing': '⏳ 正在批量处理…',
+    'select.done': '✅ 已处理 {count} 封邮件',
+    'select.labelPrompt': '🏷️ 选择要添加到所选邮件的标签:',
+    'readall.confirm': '✅ <b>全部已读</b>\n\n范围：{scope}\n约 <b>{count}</b> 封未读邮件将被标记为已读，确定吗？',
+    'readall.allMail': '全部邮件',
+    'readall.start': '✅ 确认标记',
+    'readall.expired': '⚠️ 确认已过期，请重新点击全部已读',
+    'readall.scanning': '🔍 正在查找未读邮件…',
+    'readall.progress': '⏳ 正在标记已读… {done}/{total}',
+    'readall.more': '\n\n还有更多未读邮件，可再次执行全部已读',
+    'forget.confirm': '⚠️ <b>删除所有数据</b>\n\n将撤销所有已绑定 Gmail 账户的授权，并删除 Bot 保存的全部数据（账户、设置、通知规则、摘要缓存等）。此操作无法撤销，确定吗？',
+    'forget.yes': '🗑️ 确认删除',
+    'forget.running': '⏳ 正在删除数据…',
+    'forget.done': '✅ 已撤销授权并删除你的全部数据。如需再次使用，发送 /start 重新开始',
+    'gmail.retry': '🔄 重试',
+    'gmail.error.auth': '🔑 Gmail 授权已失效，请重新授权该账户',
+    'gmail.error.quota': '⏳ Gmail 请求过于频繁（已达配额限制），请稍后重试',
+    'gmail.error.notFound': '🔍 邮件不存在或已被删除',
+    'gmail.error.server': '⚠️ Gmail 服务暂时不可用，请稍后重试',
+    'gmail.error.network': '📡 无法连接 Gmail，请稍后重试',
+    'gmail.error.request': '❌ Gmail 请求失败（{status}）',
+    'list.prevPage': '⬅️ 上一页',
+    'list.firstPage': '⏮ 第一页',
+    'list.page': '第 {page} 页',
+    'settings.pageSize': '📄 每页显示: {size} 封',
+    'settings.pageSizeOption': '每页 {size} 封',
+    'select.capped': '\n\n⚠️ 每个账户单次最多处理 {max} 封，还有匹配的邮件未处理，点击「继续处理」处理剩余邮件',
+    'select.continue': '▶️ 继续处理',
+    'settings.pageSizeUnified': '    全部账户模式下每页最多 {size} 封',
+    'forward.skippedAttachments': '⚠️ 以下附件已不存在，未能转发：{names}'
+  },
+  en: {
+    'date.long': '{weekday}, {monthName} {day}, {year} {hours}:{minutes} ({zone})',
+    'date.weekdays': 'Sun,Mon,Tue,Wed,Thu,Fri,Sat',
+    'date.months': 'Jan,Feb,Mar,Apr,May,Jun,Jul,Aug,Sep,Oct,Nov,Dec',
+    'query.from': '📤 From:\n<code>{value}</code>',
+    'query.to': '📥 To\n{value}',
+    'query.subject': '📋 Subject: {value}',
+    'query.cc': '📧 Cc\n{value}',
+    'query.bcc': '📧 Bcc\n{value}',
+    'query.label': '🏷️ Label: {value}',
+    'query.inbox': '📬 Inbox',
+    'query.unread': '🔵 Unread',
+    'query.starred': '⭐ Starred',
+    'query.attachment': '📎 With attachments',
+    'query.sent': '📮 Sent',
+    'query.drafts': '📝 Drafts',
+    'query.spam': '🗑️ Spam',
+    'query.trash': '🗑️ Trash',
+    'query.important': '❗ Important',
+    'query.read': '📖 Read',
+    'query.today': '📅 Today',
+    'query.after': '📅 After {value}',
+    'query.before': '📅 Before {value}',
+    'kb.inbox': '📬 Inbox',
+    'kb.today': '📅 Today',
+    'kb.starred': '⭐ Starred',
+    'kb.search': '🔍 Search',
+    'kb.stats': '📊 Stats',
+    'kb.readall': '✅ Read all',
+    'kb.compose': '✉️ Compose',
+    'kb.labels': '🏷️ Labels',
+    'kb.accounts': '👤 Accounts',
+    'kb.settings': '⚙️ Settings',
+    'kb.home': '🏠 Main menu',
+    'token.expired': '⚠️ <b>Account authorization expired</b>\n\n📧 {email}\n\nPlease re-authorize to keep using it.\n\nTap <b>👤 Accounts</b> → <b>➕ Add account</b> to sign in again.',
+    'token.reauth': '🔐 Re-authorize',
+    'oauth.missingParams': 'Missing parameters',
+    'oauth.invalidState': 'Invalid state',
+    'oauth.expired': 'Authorization expired, please sign in again',
+    'oauth.bound': '✅ Account linked!\n\n📧 {email}\n\nUse the buttons below to get started',
+    'web.parseFailed': 'Unable to parse the email content',
+    'web.noContent': 'No email content',
+    'mail.noSubject': '(No subject)',
+    'web.from': 'From',
+    'web.to': 'To',
+    'web.date': 'Date',
+    'web.linkValid': 'This link is valid for 1 hour',
+    'web.backToTelegram': 'Back to Telegram',
+    'web.toLine': 'To: {to}',
+    'web.thread': 'Thread',
+    'web.threadCount': '{count} messages',
+    'web.expiredTitle': 'Link expired',
+    'web.expiredText': 'This preview link is no longer valid. Go back to Telegram to create a new one',
+    'web.authSuccess': 'Authorization successful',
+    'web.authFailed': 'Authorization failed',
+    'web.openTelegram': '📱 Open Telegram',
+    'web.featureSecure': '🔒 Encrypted',
+    'web.featureSync': '⚡ Real-time sync',
+    'web.featurePreview': '🌐 Web preview',
+    'ai.noContent': '(No email content)',
+    'ai.prompt': 'You are an email cleanup and summarization assistant.\n\nTasks:\n1. Remove junk characters and HTML code from the email, including zero-width characters, &nbsp;, tracking pixels, hidden elements and style code.\n2. Extract the key information, such as verification codes, meeting times, order amounts, important notices and action links.\n3. Condense the content into a summary of at most 80 words.\n4. Output in Telegram HTML format. You may use <b>bold</b> and <a href="URL">links</a>; no other HTML tags are allowed.\n5. If a verification code (4-8 digits) is detected, highlight it first: <b>Code: 123456</b>\n6. If the original text is not in English, translate it into English.\n7. Remove marketing content, footers, disclaimers and other irrelevant information.\n\nOutput only the final summary. Do not explain, do not output the original text, and do not output anything else.\n\nOriginal email content:\n----------------------------------------\n{content}\n----------------------------------------',
+    'ai.failed': '(AI summary failed, open the full email in the browser)',
+    'ai.error': '(AI summary error, open the full email in the browser)',
+    'reply.attribution': 'On {date}, {from} wrote:',
+    'send.noPermission': '❌ Sending failed: the account lacks send permission\n\nRe-add the account under 👤 Accounts to grant send permission.',
+    'send.failed': '❌ Sending failed\n\n{error}',
+    'common.unknownError': 'Unknown error',
+    'search.prefix': 'search ',
+    'common.cancel': '❌ Cancel',
+    'snooze.invalidTime': '⚠️ Could not understand that time, please try again\n\nExamples: 2h, 21:30, 12-25 09:00',
+    'digest.invalidTime': '⚠️ Please enter a time as HH:mm, e.g. 07:30',
+    'tz.invalid': '⚠️ Invalid time zone name. Enter an IANA time zone such as Europe/Paris or America/Denver',
+    'welcome.accounts': '👤 Current account: {active}\n📊 {count} account(s) linked\n\nUse the buttons below 👇',
+    'welcome.noActive': 'none',
+    'welcome.new': '👋 Welcome!\n\nTap *👤 Accounts* to add a Gmail account',
+    'account.required': '⚠️ Please link an account first\n\nTap *👤 Accounts* to add Gmail',
+    'list.messageMode': '📧 Messages',
+    'list.threadMode': '💬 Threads',
+    'undo.archive': '↩️ Undo archive',
+    'undo.delete': '↩️ Undo delete',
+    'list.empty': 'No matching emails found',
+    'common.refresh': '🔄 Refresh',
+    'list.nextPage': '➡️ Next page',
+    'list.readAll': '✅ Mark all read',
+    'account.loginExpired': '⚠️ Sign-in expired, please link the account again',
+    'detail.fetchFailed': '❌ Failed to load the email',
+    'common.back': '⬅️ Back',
+    'thread.fetchFailed': '❌ Failed to load the thread',
+    'detail.markRead': '✅ Read',
+    'detail.markUnread': '📩 Unread',
+    'detail.unstar': '⭐ Unstar',
+    'detail.star': '⭐ Star',
+    'detail.reply': '↩️ Reply',
+    'detail.replyAll': '↩️ Reply all',
+    'detail.forward': '➡️ Forward',
+    'detail.viewOriginal': '🌐 View original in browser',
+    'detail.resummarize': '🔄 Summarize again',
+    'detail.labels': '🏷️ Labels',
+    'detail.searchFrom': '🔍 Emails from {name}',
+    'common.backToList': '⬅️ Back to list',
+    'detail.unread': '🔵 Unread',
+    'detail.read': '⚪️ Read',
+    'detail.summarizing': '⏳ AI is summarizing the email...',
+    'detail.attachments': '📎 Attachments: {count}',
+    'detail.aiSummary': '🤖 <b>AI summary</b>',
+    'detail.summaryFailed': '❌ AI summary failed, use the button below to open the original in the browser',
+    'thread.prev': '⬅️ Previous',
+    'thread.next': '➡️ Next',
+    'thread.open': '📖 Open this email',
+    'thread.viewInBrowser': '🌐 View the whole thread in browser',
+    'thread.title': '💬 <b>Thread</b> ({index}/{total})',
+    'account.requiredShort': '⚠️ Please link an account first',
+    'stats.title': '📊 *Mailbox stats*',
+    'stats.body': '📬 Unread: *{unread}*\n📅 Today: *{today}*\n⭐ Starred: *{starred}*\n📁 Total: *{total}*\n',
+    'stats.viewUnread': '📬 View unread',
+    'stats.viewToday': '📅 View today',
+    'accounts.title': '👤 *Accounts*',
+    'accounts.none': '📭 No accounts linked yet\n\nUse the button below to add one',
+    'accounts.count': '*{count}* account(s) linked:\n\n',
+    'accounts.current': ' (current)',
+    'accounts.add': '➕ Add account',
+    'accounts.remove': '🗑️ Remove account',
+    'login.text': '🔐 *Add a Gmail account*\n\nUse the button below to authorize',
+    'login.authorize': '🔐 Authorize Gmail',
+    'settings.title': '⚙️ *Settings*',
+    'settings.account': '👤 Account: {account}',
+    'settings.noAccount': 'not linked',
+    'settings.push': '🔔 Push: {status}',
+    'common.on': 'on',
+    'common.off': 'off',
+    'settings.digest': '📰 Daily digest: {status}',
+    'settings.digestDaily': 'daily at {time}',
+    'settings.timezone': '🌍 Time zone: {timeZone} ({offset})',
+    'settings.language': '🌐 Language: {language}',
+    'settings.languageAuto': ' (auto)',
+    'settings.pushOff': '🔕 Turn off push',
+    'settings.pushOn': '🔔 Turn on push',
+    'settings.digestButton': '📰 Daily digest',
+    'settings.timezoneButton': '🌍 Time zone',
+    'settings.languageButton': '🌐 Language / 语言',
+    'settings.searchHelp': '🔍 Search help',
+    'search.help': '🔍 *Search emails*\n\nSend: search keywords\n\n*Examples:*\n• search meeting\n• search from:test@example.com\n• search subject:report\n• search has:attachment',
+    'search.unread': '📬 Unread',
+    'search.starred': '⭐ Starred',
+    'search.attachment': '📎 Attachments',
+    'search.week': '📅 This week',
+    'search.month': '📆 This month',
+    'readall.none': '✅ No unread emails',
+    'readall.done': '✅ Marked *{count}* email(s) as read',
+    'reply.title': 'Reply',
+    'reply.titleAll': 'Reply all',
+    'reply.to': '📤 To: {to}',
+    'reply.cc': '📧 Cc: {cc}',
+    'reply.prompt': '✍️ Send your reply text',
+    'reply.sent': '✅ <b>Reply sent</b>',
+    'forward.prompt': '➡️ <b>Forward email</b>\n\nEnter the recipient address(es), separated by commas',
+    'forward.invalidAddress': '⚠️ No valid email address found, please try again',
+    'forward.notePrompt': '➡️ <b>Forward to</b> {to}\n\n✍️ Enter a note, or use the button below to forward without one',
+    'forward.skipNote': '⏭️ Forward without a note',
+    'forward.sent': '✅ <b>Forwarded</b>',
+    'tz.title': '🌍 <b>Time zone</b>',
+    'tz.body': 'Current: {timeZone} ({offset})\nLocal time: {now}\n\nEmail times, "Today", snooze reminders and the daily digest all use this time zone (daylight saving time is handled automatically).',
+    'tz.custom': '✏️ Enter another time zone',
+    'lang.title': '🌐 <b>Language</b>',
+    'lang.body': 'Current: {language}\n\nBy default the bot follows your Telegram app language; you can also pick one below.',
+    'lang.auto': '🔄 Follow Telegram',
+    'lang.changed': '✅ Language switched to English',
+    'snooze.in1h': 'In 1 hour',
+    'snooze.evening': 'This evening 18:00',
+    'snooze.morning': 'Tomorrow 08:00',
+    'snooze.monday': 'Next Monday 08:00',
+    'common.customTime': '✏️ Custom time',
+    'snooze.backToMail': '⬅️ Back to email',
+    'snooze.title': '⏰ <b>Snooze</b>',
+    'snooze.menuText': 'The email will be archived, then moved back to the inbox with a reminder at the chosen time',
+    'snooze.done': '⏰ Snoozed\n\n📧 {email}\n🕐 {time}\n\nThe email will be moved back to the inbox at that time',
+    'digest.title': '📰 <b>Daily digest</b>',
+    'digest.description': 'Once a day, collect the unread emails since the last digest (across all linked accounts), grouped by sender with AI summaries.',
+    'digest.current': 'Current: {status}',
+    'digest.currentDaily': 'daily at {time} ({zone})',
+    'digest.sendNow': '📰 Send now',
+    'digest.turnOff': '🔕 Turn off daily digest',
+    'digest.since': '🕐 Since {time}',
+    'digest.empty': '✅ No new unread emails',
+    'digest.more': '… {count} more unread not listed',
+    'labels.title': '🏷️ <b>Labels</b>',
+    'labels.none': '📭 No custom labels yet',
+    'labels.unread': ' (<b>{count}</b> unread)',
+    'labels.new': '➕ New label',
+    'labels.pickerHint': '🏷️ Tap to add or remove labels:',
+    'labels.pickerEmpty': '🏷️ No custom labels yet, create one',
+    'labels.createFailed': '❌ Failed to create label\n\n{error}',
+    'compose.promptTo': '✉️ <b>Compose</b> (1/3)\n\nEnter the recipient address(es), separated by commas',
+    'compose.promptSubject': '✉️ <b>Compose</b> (2/3)\n\nEnter the subject',
+    'compose.promptBody': '✉️ <b>Compose</b> (3/3)\n\nEnter the message body',
+    'compose.invalidAddress': '⚠️ No valid email address found',
+    'compose.previewTitle': '✉️ <b>Preview</b>',
+    'compose.fromAccount': '👤 From account: {account}',
+    'compose.subject': '📋 Subject: {subject}',
+    'compose.send': '📤 Send',
+    'compose.restart': '✏️ Start over',
+    'compose.expired': '⚠️ The draft has expired, please compose again',
+    'common.retry': '🔄 Retry',
+    'compose.sent': '✅ <b>Email sent</b>',
+    'accounts.removePrompt': '🗑️ Choose the account to remove:',
+    'detail.resummarizing': '⏳ Summarizing again...',
+    'snooze.customPrompt': '⏰ Enter the reminder time ({zone})\n\nExamples:\n• 2h (in 2 hours)\n• 21:30\n• 12-25 09:00',
+    'tz.customPrompt': '🌍 Enter an IANA time zone name\n\nExamples: Europe/Paris, America/Denver, Asia/Hong_Kong',
+    'digest.customPrompt': '📰 Enter the daily digest time ({zone}, HH:mm), e.g. 07:30',
+    'digest.expired': '⚠️ This digest has expired, please use the email list',
+    'labels.newPrompt': '🏷️ Enter the new label name (use / for nested labels, e.g. Work/Invoices)',
+    'detail.linkExpired': '⚠️ This email link has expired, please open it again from the list',
+    'common.cancelled': '❌ Cancelled',
+    'notify.expired': '⚠️ This notification has expired (older than 24 hours), please use the email list',
+    'notify.noAccount': '⚠️ Account not linked or expired',
+    'notify.markedRead': '✅ Marked as read',
+    'notify.viewInTelegram': '📖 View in Telegram',
+    'notify.archived': '📥 Archived',
+    'notify.trashed': '🗑️ Moved to trash',
+    'notify.undo': '↩️ Undo (within {minutes} min)',
+    'undo.expired': '⚠️ Undo has expired',
+    'undo.archiveDone': '↩️ Archive undone',
+    'undo.deleteDone': '↩️ Delete undone',
+    'notify.title': '🔔 <b>New email</b>',
+    'notify.viewOriginal': '🌐 View original in browser',
+    'notify.viewDetail': '📖 View details in Telegram',
+    'notify.archive': '📥 Archive',
+    'notify.snooze': '⏰ Snooze',
+    'notify.delete': '🗑️ Delete',
+    'rules.title': '🔔 <b>Notification rules</b>',
+    'rules.description': 'New emails are checked against the rules in order; the first matching rule decides how you are notified. If none match, you get a normal notification.',
+    'rules.none': '📭 No rules yet',
+    'rules.add': '➕ Add rule',
+    'rules.test': '🧪 Test rules',
+    'rules.chooseField': '🔔 Choose what to match:',
+    'rules.chooseAction': '🔔 Condition: {condition}\n\nChoose what happens when it matches:',
+    'rules.valuePrompt.from': '📤 Enter a sender address or name (matches if contained)',
+    'rules.valuePrompt.domain': '🌐 Enter a sender domain, e.g. github.com (subdomains included)',
+    'rules.valuePrompt.subject': '📋 Enter subject keywords, separated by commas (any keyword matches)',
+    'rules.valuePrompt.label': '🏷️ Enter the label name',
+    'rules.chooseCategory': '📂 Choose a Gmail category:',
+    'rules.labelNotFound': '⚠️ Label "{name}" not found, please try again',
+    'rules.added': '✅ Rule added',
+    'rules.testTitle': '🧪 <b>Rule test</b> (last 5 inbox emails)',
+    'rules.testEmpty': '📭 The inbox is empty',
+    'rules.matched': 'rule {index}',
+    'rules.default': 'default',
+    'rules.field.from': '📤 Sender',
+    'rules.field.domain': '🌐 Domain',
+    'rules.field.subject': '📋 Subject keywords',
+    'rules.field.category': '📂 Category',
+    'rules.field.label': '🏷️ Label',
+    'rules.action.loud': '🔔 Notify with sound',
+    'rules.action.silent': '🔕 Notify silently',
+    'rules.action.nosummary': '📄 Notify without AI summary',
+    'rules.action.skip': '🚫 Do not notify',
+    'rules.category.primary': 'Primary',
+    'rules.category.social': 'Social',
+    'rules.category.promotions': 'Promotions',
+    'rules.category.updates': 'Updates',
+    'rules.category.forums': 'Forums',
+    'settings.rulesButton': '🔔 Notification rules',
+    'notify.snippet': '📄 <b>Preview</b>',
+    'quiet.title': '🌙 <b>Quiet hours</b>',
+    'quiet.description': 'During quiet hours new emails are not pushed one by one; you get a single summary when the window ends.',
+    'quiet.status': 'Status: {status}',
+    'quiet.window': 'Window: {start}–{end} ({zone})',
+    'quiet.days': 'Applies: {days}',
+    'quiet.days.everyday': 'Every day',
+    'quiet.days.weekdays': 'Weekdays',
+    'quiet.days.weekends': 'Weekends',
+    'quiet.vip': '⭐ VIP bypass: {status}\nVIPs: {list}',
+    'quiet.vipNone': 'none',
+    'quiet.turnOn': '🌙 Turn on quiet hours',
+    'quiet.turnOff': '🔔 Turn off quiet hours',
+    'quiet.customWindow': '✏️ Custom window',
+    'quiet.vipOn': '⭐ Enable VIP bypass',
+    'quiet.vipOff': '⭐ Disable VIP bypass',
+    'quiet.vipAdd': '➕ Add VIP',
+    'quiet.vipClear': '🗑️ Clear VIPs',
+    'quiet.windowPrompt': '🌙 Enter the quiet window as HH:mm-HH:mm, e.g. 23:00-08:00',
+    'quiet.invalidWindow': '⚠️ Invalid format, enter something like 23:00-08:00',
+    'quiet.vipPrompt': '⭐ Enter VIP sender addresses or domains, separated by commas',
+    'quiet.summaryTitle': '🌙 <b>{count} new email(s) during quiet hours</b>',
+    'quiet.expired': '⚠️ This summary has expired, please use the email list',
+    'settings.quiet': '🌙 Quiet hours: {status}',
+    'settings.quietButton': '🌙 Quiet hours',
+    'otp.code': '🔑 Code: <code>{code}</code>',
+    'otp.link': '🔗 <a href="{url}">Sign-in link</a>',
+    'otp.copy': '📋 Copy {code}',
+    'otp.openLink': '🔗 Open sign-in link',
+    'list.allAccounts': '🌐 <b>All accounts</b>',
+    'accounts.all': 'All accounts',
+    'accounts.allModeOn': '\n🌐 Lists and search show all accounts; compose, labels and other actions use the current account\n',
+    'select.start': '☑️ Select',
+    'select.header': '☑️ Selection mode: {count} selected',
+    'select.headerAll': '☑️ Selection mode: every email matching this query is selected (all pages)',
+    'select.read': '✅ Read',
+    'select.unread': '🔵 Unread',
+    'select.star': '⭐ Star',
+    'select.archive': '📥 Archive',
+    'select.trash': '🗑️ Trash',
+    'select.label': '🏷️ Label',
+    'select.all': '☑️ Select all matching',
+    'select.clearAll': '↩️ Clear selection',
+    'select.exit': '❌ Exit selection',
+    'select.expired': '⚠️ The selection has expired, please start selecting again',
+    'select.empty': '⚠️ Select some emails first',
+    'select.allActive': 'All matching emails are selected; clear the selection to pick emails one by one',
+    'select.processing': '⏳ Processing…',
+    'select.done': '✅ Updated {count} email(s)',
+    'select.labelPrompt': '🏷️ Choose a label to add to the selected emails:',
+    'readall.confirm': '✅ <b>Mark all read</b>\n\nScope: {scope}\nAbout <b>{count}</b> unread email(s) will be marked as read. Continue?',
+    'readall.allMail': 'All mail',
+    'readall.start': '✅ Mark as read',
+    'readall.expired': '⚠️ This confirmation has expired, please tap mark all read again',
+    'readall.scanning': '🔍 Finding unread emails…',
+    'readall.progress': '⏳ Marking as read… {done}/{total}',
+    'readall.more': '\n\nMore unread emails remain, run mark all read again to continue',
+    'forget.confirm': '⚠️ <b>Delete all data</b>\n\nThis revokes access for every linked Gmail account and deletes everything the bot stores (accounts, settings, notification rules, summary cache, etc.). This cannot be undone. Continue?',
+    'forget.yes': '🗑️ Delete everything',
+    'forget.running': '⏳ Deleting your data…',
+    'forget.done': '✅ Access revoked and all your data deleted. Send /start to begin again',
+    'gmail.retry': '🔄 Retry',
+    'gmail.error.auth': '🔑 Gmail access has expired. Please re-authorize this account.',
+    'gmail.error.quota': '⏳ Too many Gmail requests (quota reached). Please try again later.',
+    'gmail.error.notFound': '🔍 The email no longer exists or was deleted.',
+    'gmail.error.server': '⚠️ Gmail is temporarily unavailable. Please try again later.',
+    'gmail.error.network': '📡 Could not reach Gmail. Please try again later.',
+    'gmail.error.request': '❌ Gmail request failed ({status}).',
+    'list.prevPage': '⬅️ Previous',
+    'list.firstPage': '⏮ First page',
+    'list.page': 'Page {page}',
+    'settings.pageSize': '📄 Page size: {size} emails',
+    'settings.pageSizeOption': '{size} per page',
+    'select.capped': '\n\n⚠️ At most {max} emails per account are processed at a time. Some matching emails are left, tap "Continue" to process them',
+    'select.continue': '▶️ Continue',
+    'settings.pageSizeUnified': '    Up to {size} per page in all-accounts mode',
+    'forward.skippedAttachments': '⚠️ These attachments no longer exist and were not forwarded: {names}'
+  }
+};
+
+function translate(lang, key, params = {}) {
+  const template = MESSAGES[lang]?.[key] ?? MESSAGES[DEFAULT_LANG][key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (m, name) => (params[name] !== undefined ? params[name] : m));
+}
+
+// 语言优先级：设置中手动选择 > Telegram 客户端语言 > 默认中文
+async function getUserLang(userId, env) {
+  const override = await env.USER_TOKENS.get(`lang:${userId}`);
+  if (SUPPORTED_LANGS.includes(override)) return override;
+  const detected = await env.USER_TOKENS.get(`tglang:${userId}`);
+  return SUPPORTED_LANGS.includes(detected) ? detected : DEFAULT_LANG;
+}
+
+// 返回绑定了用户语言的 t(key, params)，t.lang 为当前语言
+async function getTranslator(userId, env) {
+  const lang = await getUserLang(userId, env);
+  const t = (key, params) => translate(lang, key, params);
+  t.lang = lang;
+  return t;
+}
+
+// 记录 Telegram 客户端语言：中文客户端用中文，其余用英文
+async function rememberTelegramLang(userId, languageCode, env) {
+  const lang = languageCode.toLowerCase().startsWith('zh') ? 'zh-CN' : 'en';
+  const stored = await env.USER_TOKENS.get(`tglang:${userId}`);
+  if (stored !== lang) {
+    await env.USER_TOKENS.put(`tglang:${userId}`, lang);
+  }
+}
+
+// 网页请求没有 Telegram 用户信息时，按浏览器 Accept-Language 选择语言
+function getRequestLang(request) {
+  const header = request.headers.get('Accept-Language') || '';
+  for (const part of header.split(',')) {
+    const code = part.split(';')[0].trim().toLowerCase();
+    if (code.startsWith('zh')) return 'zh-CN';
+    if (code.startsWith('en')) return 'en';
+  }
+  return DEFAULT_LANG;
+}
+
 // ==================== 统一时间函数 ====================
-function toBeijingTime(date) {
+const DEFAULT_TIMEZONE = 'Asia/Shanghai';
+
+// 设置中可快速选择的时区（其他时区可手动输入 IANA 名称）
+const COMMON_TIMEZONES = [
+  'Asia/Shanghai', 'Asia/Tokyo', 'Asia/Singapore', 'Asia/Kolkata',
+  'Europe/London', 'Europe/Berlin', 'Europe/Moscow', 'UTC',
+  'America/New_York', 'America/Chicago', 'America/Los_Angeles', 'Australia/Sydney'
+];
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function getUserTimezone(userId, env) {
+  const timeZone = await env.USER_TOKENS.get(`tz:${userId}`);
+  return timeZone && isValidTimeZone(timeZone) ? timeZone : DEFAULT_TIMEZONE;
+}
+
+// 时区相对 UTC 的偏移（毫秒），按给定时刻计算，自动处理夏令时
+function getTimezoneOffset(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).forEach(p => { parts[p.type] = parseInt(p.value); });
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// 转换为指定时区的本地时间，之后用 getUTC* 读取各字段
+function toZonedTime(date, timeZone = DEFAULT_TIMEZONE) {
   const d = typeof date === 'string' ? new Date(date) : date;
-  return new Date(d.getTime() + 8 * 60 * 60 * 1000);
+  return new Date(d.getTime() + getTimezoneOffset(d, timeZone));
+}
+
+// 指定时区的本地时间转为 UTC 毫秒时间戳（二次修正处理夏令时切换）
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const first = guess - getTimezoneOffset(new Date(guess), timeZone);
+  return guess - getTimezoneOffset(new Date(first), timeZone);
+}
+
+// 指定时区 daysFromToday 天后的 hour:minute，返回 UTC 毫秒时间戳
+function zonedTimeAt(daysFromToday, hour, minute, timeZone) {
+  const today = toZonedTime(new Date(), timeZone);
+  return zonedTimeToUtc(today.getUTCFullYear(), today.getUTCMonth() + 1, today.getUTCDate() + daysFromToday, hour, minute, timeZone);
+}
+
+function getTimeZoneLabel(timeZone, lang = DEFAULT_LANG) {
+  return timeZone === 'Asia/Shanghai' && lang === 'zh-CN' ? '北京时间' : timeZone;
+}
+
+// 当前的 UTC 偏移文本，如 UTC+8、UTC-4、UTC+5:30
+function formatUtcOffset(timeZone) {
+  const offset = Math.round(getTimezoneOffset(new Date(), timeZone) / 60000);
+  const abs = Math.abs(offset);
+  const minutes = abs % 60 ? `:${String(abs % 60).padStart(2, '0')}` : '';
+  return `UTC${offset >= 0 ? '+' : '-'}${Math.floor(abs / 60)}${minutes}`;
 }
 
-function formatDate(dateStr, format = 'short') {
+function formatDate(dateStr, format = 'short', timeZone = DEFAULT_TIMEZONE, lang = DEFAULT_LANG) {
   try {
-    const d = toBeijingTime(dateStr);
+    const d = toZonedTime(dateStr, timeZone);
     const year = d.getUTCFullYear();
     const month = d.getUTCMonth() + 1;
     const day = d.getUTCDate();
@@ -145,10 +949,17 @@ function formatDate(dateStr, format = 'short') {
     const seconds = String(d.getUTCSeconds()).padStart(2, '0');
     
     switch (format) {
-      case 'chinese':
-        const weekdays = ['日', '一', '二', '三', '四', '五', '六'];
-        const weekday = weekdays[d.getUTCDay()];
-        return `${year}年${month}月${day}日 星期${weekday} ${hours}:${minutes} (北京时间)`;
+      case 'long':
+        return translate(lang, 'date.long', {
+          year,
+          month,
+          monthName: translate(lang, 'date.months').split(',')[month - 1],
+          day,
+          weekday: translate(lang, 'date.weekdays').split(',')[d.getUTCDay()],
+          hours,
+          minutes,
+          zone: getTimeZoneLabel(timeZone, lang)
+        });
       case 'full':
         return `${year}/${month}/${day} ${hours}:${minutes}:${seconds}`;
       case 'short':
@@ -160,82 +971,85 @@ function formatDate(dateStr, format = 'short') {
   }
 }
 
-function getTodayTimestamp() {
-  const now = Date.now();
-  const offset = 8 * 60 * 60 * 1000;
-  const beijingMs = now + offset;
-  const dayMs = 24 * 60 * 60 * 1000;
-  const beijingMidnight = beijingMs - (beijingMs % dayMs);
-  return Math.floor((beijingMidnight - offset) / 1000);
-}
-
-// ✅ 新增：获取今日日期字符串（YYYY/MM/DD格式，用于Gmail查询）
-function getTodayDateString() {
-  const today = toBeijingTime(new Date());
-  const year = today.getUTCFullYear();
-  const month = String(today.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(today.getUTCDate()).padStart(2, '0');
-  return `${year}/${month}/${day}`;
+// 用户时区今日零点的 Unix 时间戳（秒），用于 Gmail after: 查询
+function getTodayTimestamp(timeZone = DEFAULT_TIMEZONE) {
+  return Math.floor(zonedTimeAt(0, 0, 0, timeZone) / 1000);
 }
 
 // ==================== 完整的格式化函数（推荐版本） ====================
-function formatQueryForDisplay(query) {
+function formatQueryForDisplay(query, timeZone = DEFAULT_TIMEZONE, lang = DEFAULT_LANG) {
+  const t = (key, params) => translate(lang, key, params);
+
   const fromMatch = query.match(/^from:(.+)$/);
   if (fromMatch) {
-    return `📤 发件人：\n<code>${fromMatch[1]}</code>`;
+    return t('query.from', { value: fromMatch[1] });
   }
 
   // to: 查询
   const toMatch = query.match(/^to:(.+)$/);
   if (toMatch) {
-    return `📥 收件人\n${toMatch[1]}`;
+    return t('query.to', { value: toMatch[1] });
   }
 
   // subject: 查询
   const subjectMatch = query.match(/^subject:(.+)$/);
   if (subjectMatch) {
-    return `📋 主题：${subjectMatch[1]}`;
+    return t('query.subject', { value: subjectMatch[1] });
   }
 
   // cc: 抄送
   const ccMatch = query.match(/^cc:(.+)$/);
   if (ccMatch) {
-    return `📧 抄送\n${ccMatch[1]}`;
+    return t('query.cc', { value: ccMatch[1] });
   }
 
   // bcc: 密送
   const bccMatch = query.match(/^bcc:(.+)$/);
   if (bccMatch) {
-    return `📧 密送\n${bccMatch[1]}`;
+    return t('query.bcc', { value: bccMatch[1] });
+  }
+
+  // label: 标签
+  const labelMatch = query.match(/^label:(.+)$/);
+  if (labelMatch) {
+    return t('query.label', { value: labelMatch[1] });
   }
 
   // 预定义查询
   const predefinedQueries = {
-    'in:inbox': '📬 收件箱',
-    'is:unread': '🔵 未读邮件',
-    'is:starred': '⭐ 星标邮件',
-    'has:attachment': '📎 有附件',
-    'in:sent': '📮 已发送',
-    'in:drafts': '📝 草稿箱',
-    'in:spam': '🗑️ 垃圾邮件',
-    'in:trash': '🗑️ 回收站',
-    'is:important': '❗ 重要邮件',
-    'is:read': '📖 已读邮件'
+    'in:inbox': 'query.inbox',
+    'is:unread': 'query.unread',
+    'is:starred': 'query.starred',
+    'has:attachment': 'query.attachment',
+    'in:sent': 'query.sent',
+    'in:drafts': 'query.drafts',
+    'in:spam': 'query.spam',
+    'in:trash': 'query.trash',
+    'is:important': 'query.important',
+    'is:read': 'query.read'
   };
 
   if (predefinedQueries[query]) {
-    return predefinedQueries[query];
+    return t(predefinedQueries[query]);
+  }
+
+  // 时间戳查询（今日按用户时区零点生成）
+  const afterTsMatch = query.match(/^after:(\d{9,})$/);
+  if (afterTsMatch) {
+    const ts = parseInt(afterTsMatch[1]);
+    if (ts === getTodayTimestamp(timeZone)) return t('query.today');
+    return t('query.after', { value: formatDate(new Date(ts * 1000), 'short', timeZone) });
   }
 
   // 日期查询
   const afterMatch = query.match(/^after:(\d{4}\/\d{1,2}\/\d{1,2})$/);
   if (afterMatch) {
-    return `📅 ${afterMatch[1]} 之后`;
+    return t('query.after', { value: afterMatch[1] });
   }
 
   const beforeMatch = query.match(/^before:(\d{4}\/\d{1,2}\/\d{1,2})$/);
   if (beforeMatch) {
-    return `📅 ${beforeMatch[1]} 之前`;
+    return t('query.before', { value: beforeMatch[1] });
   }
 
   // 复杂查询或包含多个条件
@@ -255,54 +1069,190 @@ async function sendTelegram(token, method, data) {
   return resp.json();
 }
 
-function getMainKeyboard() {
+const KEYBOARD_LAYOUT = [
+  ['inbox', 'today', 'starred'],
+  ['search', 'stats', 'readall'],
+  ['compose', 'labels'],
+  ['accounts', 'settings']
+];
+
+function getMainKeyboard(lang = DEFAULT_LANG) {
   return {
-    keyboard: [
-      [{ text: '📬 收件箱' }, { text: '📅 今日' }, { text: '⭐ 星标' }],
-      [{ text: '🔍 搜索' }, { text: '📊 统计' }, { text: '✅ 全已读' }],
-      [{ text: '👤 账户管理' }, { text: '⚙️ 设置' }]
-    ],
+    keyboard: KEYBOARD_LAYOUT.map(row => row.map(key => ({ text: translate(lang, `kb.${key}`) }))),
     resize_keyboard: true,
     persistent: true
   };
 }
 
+// 识别任意语言的键盘按钮（切换语言后旧键盘仍然可用）
+function findKeyboardAction(text) {
+  const keys = [...KEYBOARD_LAYOUT.flat(), 'home'];
+  for (const lang of SUPPORTED_LANGS) {
+    const key = keys.find(k => translate(lang, `kb.${k}`) === text);
+    if (key) return key;
+  }
+  return null;
+}
+
+// ==================== Token 加密存储 ====================
+// token 使用 AES-GCM 加密后存入 KV：{ v: 密钥版本, iv, data }
+// 密钥来自 Worker secret TOKEN_KEY（base64 编码的 32 字节，可用 openssl rand -base64 32 生成），
+// 版本号为 TOKEN_KEY_VERSION（默认 1）；轮换时旧密钥保留为 TOKEN_KEY_V<旧版本号>，读取时自动用新密钥重新加密
+const tokenKeyCache = new Map();
+
+function getTokenKeyVersion(env) {
+  return parseInt(env.TOKEN_KEY_VERSION || '1');
+}
+
+async function getTokenKey(version, env) {
+  const raw = version === getTokenKeyVersion(env) ? env.TOKEN_KEY : env[`TOKEN_KEY_V${version}`];
+  if (!raw) return null;
+
+  if (!tokenKeyCache.has(raw)) {
+    const bytes = Uint8Array.from(atob(raw), c => c.charCodeAt(0));
+    tokenKeyCache.set(raw, await crypto.subtle.importKey('raw', bytes, 'AES-GCM', false, ['encrypt', 'decrypt']));
+  }
+  return tokenKeyCache.get(raw);
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+// 读取 token；旧的明文记录和旧密钥加密的记录在读取时迁移到当前密钥
+async function loadToken(userId, email, env) {
+  const kvKey = `token:${userId}:${email}`;
+  const raw = await env.USER_TOKENS.get(kvKey);
+  if (!raw) return null;
+
+  const record = JSON.parse(raw);
+  if (!record.data) {
+    if (env.TOKEN_KEY) await saveToken(userId, email, record, env);
+    return record;
+  }
+
+  const key = await getTokenKey(record.v, env);
+  if (!key) throw new Error(`Token key version ${record.v} is not configured`);
+
+  // 以 KV key 作为附加数据，密文无法被挪到其他用户或账户下使用
+  const plain = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(record.iv), additionalData: new TextEncoder().encode(kvKey) },
+    key,
+    base64ToBytes(record.data)
+  );
+  const token = JSON.parse(new TextDecoder().decode(plain));
+
+  if (record.v !== getTokenKeyVersion(env)) await saveToken(userId, email, token, env);
+  return token;
+}
+
+// 未配置 TOKEN_KEY 时只记录一次错误（每个 isolate），/setup 也会提示
+let tokenKeyWarned = false;
+function warnMissingTokenKey() {
+  if (tokenKeyWarned) return;
+  tokenKeyWarned = true;
+  console.error('TOKEN_KEY is not set: OAuth tokens are stored in KV as plaintext');
+}
+
+// 未配置 TOKEN_KEY 时按明文保存（兼容旧部署），并提示运维设置密钥
+async function saveToken(userId, email, token, env) {
+  const kvKey = `token:${userId}:${email}`;
+  if (!env.TOKEN_KEY) {
+    warnMissingTokenKey();
+    await env.USER_TOKENS.put(kvKey, JSON.stringify(token));
+    return;
+  }
+
+  const version = getTokenKeyVersion(env);
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(kvKey) },
+    await getTokenKey(version, env),
+    new TextEncoder().encode(JSON.stringify(token))
+  );
+
+  await env.USER_TOKENS.put(kvKey, JSON.stringify({
+    v: version,
+    iv: bytesToBase64(iv),
+    data: bytesToBase64(new Uint8Array(data))
+  }));
+}
+
 // ==================== Token 管理 ====================
 async function getActiveAccount(userId, env) {
   const email = await env.USER_TOKENS.get(`active:${userId}`);
   if (!email) return null;
-  
-  const tokenRaw = await env.USER_TOKENS.get(`token:${userId}:${email}`);
-  if (!tokenRaw) {
-    // Token不存在，通知用户并清理
+  return getUserAccount(userId, email, env);
+}
+
+// 获取指定账户的 token（用户操作使用，token 失效时通知用户并清理）
+async function getUserAccount(userId, email, env) {
+  let token;
+  try {
+    token = await loadToken(userId, email, env);
+  } catch (e) {
+    // 无法读取多为密钥配置问题，保留数据，不清理账户
+    console.error('Token load error:', e);
+    return null;
+  }
+
+  if (!token) {
+    // Token不存在，通知用户并从账户列表移除
     await notifyTokenExpired(userId, email, env);
     await cleanupExpiredAccount(userId, email, env);
     return null;
   }
   
   try {
-    const token = JSON.parse(tokenRaw);
     token.email = email;
+    token.userId = userId;
     
     if (Date.now() > token.expiry - 60000) {
       const refreshed = await refreshToken(token.refresh_token, env);
       if (refreshed) {
         token.access_token = refreshed.access_token;
         token.expiry = Date.now() + refreshed.expires_in * 1000;
-        await env.USER_TOKENS.put(`token:${userId}:${email}`, JSON.stringify(token));
+        await saveToken(userId, email, token, env);
       } else {
-        // Refresh失败，通知用户并清理
+        // 授权已被撤销或过期，通知用户并从账户列表移除（保留规则、推送等数据，重新授权后继续使用）
         await notifyTokenExpired(userId, email, env);
         await cleanupExpiredAccount(userId, email, env);
         return null;
       }
     }
     
+    return token;
+  } catch (e) {
+    // 网络错误或 Google 5xx 多为暂时问题，保留账户和数据
+    console.error('Token refresh error:', e);
+    return null;
+  }
+}
+
+// 获取指定账户的 token（后台任务使用，不切换当前账户、不发送过期通知）
+async function getAccountByEmail(userId, email, env) {
+  try {
+    const token = await loadToken(userId, email, env);
+    if (!token) return null;
+    token.email = email;
+    token.userId = userId;
+
+    if (Date.now() > token.expiry - 60000) {
+      const refreshed = await refreshToken(token.refresh_token, env);
+      if (!refreshed) return null;
+      token.access_token = refreshed.access_token;
+      token.expiry = Date.now() + refreshed.expires_in * 1000;
+      await saveToken(userId, email, token, env);
+    }
+
     return token;
   } catch {
-    // 解析失败，通知用户并清理
-    await notifyTokenExpired(userId, email, env);
-    await cleanupExpiredAccount(userId, email, env);
     return null;
   }
 }
@@ -313,13 +1263,14 @@ async function notifyTokenExpired(userId, email, env) {
   const alreadyNotified = await env.USER_TOKENS.get(notifiedKey);
   
   if (!alreadyNotified) {
+    const t = await getTranslator(userId, env);
     await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
       chat_id: userId,
-      text: `⚠️ <b>账户授权已过期</b>\n\n📧 ${escapeHtml(email)}\n\n请重新授权以继续使用。\n\n点击 <b>👤 账户管理</b> → <b>➕ 添加账户</b> 重新登录。`,
+      text: t('token.expired', { email: escapeHtml(email) }),
       parse_mode: 'HTML',
       reply_markup: {
         inline_keyboard: [[
-          { text: '🔐 重新授权', callback_data: 'add' }
+          { text: t('token.reauth'), callback_data: 'add' }
         ]]
       }
     });
@@ -329,8 +1280,8 @@ async function notifyTokenExpired(userId, email, env) {
   }
 }
 
+// 授权失效时删除 token 并从账户列表移除，当前账户切换到其他账户
 async function cleanupExpiredAccount(userId, email, env) {
-  // 删除过期的token
   await env.USER_TOKENS.delete(`token:${userId}:${email}`);
   
   // 从账户列表中移除
@@ -350,11 +1301,15 @@ async function cleanupExpiredAccount(userId, email, env) {
       await env.USER_TOKENS.delete(`active:${userId}`);
     }
   }
-  
-  // 清理推送设置
-  await env.USER_TOKENS.delete(`push:${userId}:${email}`);
 }
 
+// 用户主动移除账户：删除该账户的所有数据（撤销授权由调用方负责）
+async function removeAccount(userId, email, env) {
+  await purgeAccountData(userId, email, env);
+  await cleanupExpiredAccount(userId, email, env);
+}
+
+// 授权被撤销或过期（invalid_grant）时返回 null，网络错误和其他失败抛出异常
 async function refreshToken(refreshToken, env) {
   const resp = await fetch('https://oauth2.googleapis.com/token', {
     method: 'POST',
@@ -366,8 +1321,10 @@ async function refreshToken(refreshToken, env) {
       grant_type: 'refresh_token'
     })
   });
-  const data = await resp.json();
-  return data.access_token ? data : null;
+  const data = await resp.json().catch(() => ({}));
+  if (data.access_token) return data;
+  if (data.error === 'invalid_grant') return null;
+  throw new Error(`Token refresh failed (${resp.status}): ${data.error || 'unknown'}`);
 }
 
 async function getAccountList(userId, env) {
@@ -379,28 +1336,275 @@ async function getAccountList(userId, env) {
   }
 }
 
+// ==================== Gmail API ====================
+const GMAIL_API = 'https://gmail.googleapis.com/gmail/v1/users/me';
+const GMAIL_MAX_RETRIES = 3;
+
+// kind: auth（授权失效）、quota（配额/限流）、notFound、server（5xx）、network、request（其他 4xx）
+class GmailError extends Error {
+  constructor(kind, status, message) {
+    super(message || `Gmail API ${kind} error (${status})`);
+    this.name = 'GmailError';
+    this.kind = kind;
+    this.status = status;
+  }
+}
+
+// 可稍后重试的错误（后台任务据此决定保留任务还是放弃）
+function isTransientGmailError(e) {
+  return e instanceof GmailError && ['quota', 'server', 'network'].includes(e.kind);
+}
+
+function classifyGmailError(status, reason) {
+  if (status === 401) return 'auth';
+  if (status === 429 || (status === 403 && /rateLimitExceeded|quotaExceeded/i.test(reason))) return 'quota';
+  if (status === 404) return 'notFound';
+  if (status >= 500) return 'server';
+  return 'request';
+}
+
+// 指数退避（0.5s、1s、2s，加随机抖动）；有 Retry-After 时按其等待，最多 8 秒
+function getRetryDelay(attempt, retryAfter) {
+  const seconds = parseInt(retryAfter || '');
+  if (seconds > 0) return Math.min(seconds * 1000, 8000);
+  return 500 * 2 ** attempt + Math.floor(Math.random() * 250);
+}
+
+// 刷新 account 的 access token 并写回 KV
+async function refreshAccountToken(account, env) {
+  const refreshed = await refreshToken(account.refresh_token, env).catch(() => null);
+  if (!refreshed) return false;
+  account.access_token = refreshed.access_token;
+  account.expiry = Date.now() + refreshed.expires_in * 1000;
+  if (account.userId) await saveToken(account.userId, account.email, account, env);
+  return true;
+}
+
+// 所有 Gmail 请求统一经过这里：429/5xx 自动重试，401 刷新 token 后重试一次，失败时抛出 GmailError
+async function gmailFetch(account, path, init, env) {
+  const url = path.startsWith('https://') ? path : `${GMAIL_API}${path}`;
+  let refreshed = false;
+
+  for (let attempt = 0; ; attempt++) {
+    let resp;
+    try {
+      resp = await fetch(url, {
+        ...init,
+        headers: { ...init?.headers, Authorization: `Bearer ${account.access_token}` }
+      });
+    } catch (e) {
+      if (attempt < GMAIL_MAX_RETRIES) {
+        await new Promise(resolve => setTimeout(resolve, getRetryDelay(attempt)));
+        continue;
+      }
+      throw new GmailError('network', 0, e.message);
+    }
+    if (resp.ok) return resp;
+
+    const body = await resp.text();
+    const kind = classifyGmailError(resp.status, body);
+
+    if (kind === 'auth' && !refreshed) {
+      refreshed = true;
+      if (await refreshAccountToken(account, env)) continue;
+    }
+    if ((kind === 'quota' || kind === 'server') && attempt < GMAIL_MAX_RETRIES) {
+      await new Promise(resolve => setTimeout(resolve, getRetryDelay(attempt, resp.headers.get('Retry-After'))));
+      continue;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(body).error?.message;
+    } catch {
+      message = null;
+    }
+    throw new GmailError(kind, resp.status, message);
+  }
+}
+
+async function gmailGet(account, path, env) {
+  const resp = await gmailFetch(account, path, {}, env);
+  return resp.json();
+}
+
+// 邮件/会话不存在时返回 null，其他错误照常抛出
+async function gmailGetIfExists(account, path, env) {
+  try {
+    return await gmailGet(account, path, env);
+  } catch (e) {
+    if (e.kind === 'notFound') return null;
+    throw e;
+  }
+}
+
+// 部分接口（如 batchModify）成功时没有响应体
+// 写操作会改变邮件的标签，成功后清空该用户的列表元数据缓存
+async function gmailPost(account, path, body, env) {
+  const resp = await gmailFetch(account, path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  }, env);
+  if (account.userId) await clearMetadataCache(account.userId, env);
+  const text = await resp.text();
+  return text ? JSON.parse(text) : {};
+}
+
+// 把 Gmail 错误转成用户可读的提示，附带重试按钮
+// retryData 为重试时重新触发的回调；文字消息触发的操作保存原文，通过 retry 回调重新执行
+async function sendGmailError(chatId, userId, error, retryData, env) {
+  const t = await getTranslator(userId, env);
+  const button = error.kind === 'auth'
+    ? { text: t('token.reauth'), callback_data: 'add' }
+    : { text: t('gmail.retry'), callback_data: retryData };
+
+  await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+    chat_id: chatId,
+    text: t(`gmail.error.${error.kind}`, { status: error.status }),
+    reply_markup: { inline_keyboard: [[button]] }
+  });
+}
+
+// ==================== 邮件所属账户 ====================
+// 记录邮件所属账户（24小时有效），通知和详情页的按钮据此作用于对应邮箱，不切换用户选择的当前账户
+async function rememberMailAccount(userId, mailId, email, env) {
+  await env.USER_TOKENS.put(`mailacct:${userId}:${mailId}`, email, { expirationTtl: 86400, metadata: { email } });
+}
+
+// 找不到邮件所属账户时的提示：没有所属账户记录说明链接已过期，否则为账户授权失效
+async function getMailAccountErrorText(userId, mailId, t, env) {
+  const recorded = await env.USER_TOKENS.get(`mailacct:${userId}:${mailId}`);
+  return t(recorded ? 'account.loginExpired' : 'detail.linkExpired');
+}
+
+// 获取邮件所属账户的 token；未指定邮件时使用当前账户
+// 没有记录（已过期）或所属账户已移除时返回 null，不回退到当前账户，避免操作到其他邮箱
+async function getMailAccount(userId, mailId, env) {
+  if (!mailId) return getActiveAccount(userId, env);
+  const email = await env.USER_TOKENS.get(`mailacct:${userId}:${mailId}`);
+  if (!email) return null;
+
+  const accounts = await getAccountList(userId, env);
+  if (!accounts.includes(email)) return null;
+  return getUserAccount(userId, email, env);
+}
+
 // ==================== 邮件ID映射 ====================
+// 同时记录每封邮件所属账户（全部账户模式下列表混合多个账户）
 async function storeMailIds(userId, mails, env) {
   const mapping = {};
   mails.forEach((mail, index) => {
-    mapping[index] = mail.id;
+    mapping[index] = { id: mail.id, email: mail.account };
   });
   // 邮件ID映射1小时后过期
   await env.USER_TOKENS.put(`mailmap:${userId}`, JSON.stringify(mapping), { expirationTtl: 3600 });
   return mapping;
 }
 
-async function getMailId(userId, index, env) {
+async function getMailEntry(userId, index, env) {
   const raw = await env.USER_TOKENS.get(`mailmap:${userId}`);
   if (!raw) return null;
   try {
-    const mapping = JSON.parse(raw);
-    return mapping[index] || null;
+    const entry = JSON.parse(raw)[index];
+    if (!entry) return null;
+    return typeof entry === 'string' ? { id: entry, email: null } : entry;
   } catch {
     return null;
   }
 }
 
+// ==================== Webhook 验证 ====================
+// 旧版在 URL 中带 ?secret=BOT_SECRET，默认仍然接受；设置 ALLOW_QUERY_SECRET=false 后关闭
+function isLegacySecretValid(url, env) {
+  if (env.ALLOW_QUERY_SECRET === 'false') return false;
+  const secret = url.searchParams.get('secret');
+  return Boolean(secret) && secret === env.BOT_SECRET;
+}
+
+// Telegram secret_token 只允许 A-Z a-z 0-9 _ -，由 BOT_SECRET 派生，无需额外配置
+async function getTelegramSecretToken(env) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`telegram-webhook:${env.BOT_SECRET}`));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+async function verifyTelegramRequest(request, url, env) {
+  const header = request.headers.get('X-Telegram-Bot-Api-Secret-Token');
+  if (header) return header === await getTelegramSecretToken(env);
+  return isLegacySecretValid(url, env);
+}
+
+const GOOGLE_ISSUERS = ['https://accounts.google.com', 'accounts.google.com'];
+const googleJwksCache = { keys: [], expires: 0, fetchedAt: 0 };
+// 未知 kid 触发重新获取的最小间隔（毫秒），避免伪造的请求让 Worker 不断向 Google 发请求
+const JWKS_MIN_REFETCH = 60 * 1000;
+
+// Google 公钥按 Cache-Control 缓存；遇到未知 kid（密钥轮换）时重新获取，但两次获取至少间隔 JWKS_MIN_REFETCH
+async function getGoogleJwk(kid) {
+  const now = Date.now();
+  const jwk = now < googleJwksCache.expires ? googleJwksCache.keys.find(k => k.kid === kid) : null;
+  if (jwk) return jwk;
+  if (now - googleJwksCache.fetchedAt < JWKS_MIN_REFETCH) return null;
+
+  // 获取失败也计入间隔
+  googleJwksCache.fetchedAt = now;
+  const resp = await fetch('https://www.googleapis.com/oauth2/v3/certs');
+  if (!resp.ok) return null;
+  const maxAge = parseInt(resp.headers.get('Cache-Control')?.match(/max-age=(\d+)/)?.[1] || '3600');
+  googleJwksCache.keys = (await resp.json()).keys || [];
+  googleJwksCache.expires = Date.now() + maxAge * 1000;
+
+  return googleJwksCache.keys.find(k => k.kid === kid) || null;
+}
+
+function base64UrlToBytes(str) {
+  return base64ToBytes(str.replace(/-/g, '+').replace(/_/g, '/'));
+}
+
+// 校验 Pub/Sub 推送携带的 Google OIDC token：签名、签发者、audience 和有效期
+// audience 默认为推送地址，可用 PUBSUB_AUDIENCE 指定；设置 PUBSUB_SERVICE_ACCOUNT 时同时校验签发的服务账号
+async function verifyGoogleOidcToken(jwt, audience, env) {
+  const [headerPart, payloadPart, signaturePart] = jwt.split('.');
+  if (!signaturePart) return false;
+
+  try {
+    const header = JSON.parse(new TextDecoder().decode(base64UrlToBytes(headerPart)));
+    const payload = JSON.parse(new TextDecoder().decode(base64UrlToBytes(payloadPart)));
+    if (header.alg !== 'RS256') return false;
+
+    const jwk = await getGoogleJwk(header.kid);
+    if (!jwk) return false;
+    const key = await crypto.subtle.importKey('jwk', jwk, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify']);
+    const valid = await crypto.subtle.verify(
+      'RSASSA-PKCS1-v1_5',
+      key,
+      base64UrlToBytes(signaturePart),
+      new TextEncoder().encode(`${headerPart}.${payloadPart}`)
+    );
+    if (!valid) return false;
+
+    // 允许 60 秒时钟误差
+    const now = Math.floor(Date.now() / 1000);
+    if (!GOOGLE_ISSUERS.includes(payload.iss)) return false;
+    if (payload.aud !== audience) return false;
+    if (!payload.exp || payload.exp < now - 60 || (payload.iat && payload.iat > now + 60)) return false;
+    if (env.PUBSUB_SERVICE_ACCOUNT && (payload.email !== env.PUBSUB_SERVICE_ACCOUNT || !payload.email_verified)) return false;
+
+    return true;
+  } catch (e) {
+    console.error('OIDC verify error:', e);
+    return false;
+  }
+}
+
+async function verifyPubSubRequest(request, url, env) {
+  const auth = request.headers.get('Authorization') || '';
+  if (auth.startsWith('Bearer ')) {
+    return verifyGoogleOidcToken(auth.substring(7), env.PUBSUB_AUDIENCE || `${url.origin}${url.pathname}`, env);
+  }
+  return isLegacySecretValid(url, env);
+}
+
 // ==================== Setup ====================
 async function handleSetup(url, env) {
   const secret = url.searchParams.get('secret');
@@ -408,11 +1612,20 @@ async function handleSetup(url, env) {
     return new Response('Unauthorized', { status: 401 });
   }
 
-  const webhookUrl = `${url.origin}/webhook?secret=${env.BOT_SECRET}`;
-  await sendTelegram(env.BOT_TOKEN, 'setWebhook', { url: webhookUrl });
+  // 密钥通过请求头传递，不再出现在 webhook URL 中
+  const webhookUrl = `${url.origin}/webhook`;
+  await sendTelegram(env.BOT_TOKEN, 'setWebhook', {
+    url: webhookUrl,
+    secret_token: await getTelegramSecretToken(env)
+  });
   await sendTelegram(env.BOT_TOKEN, 'deleteMyCommands', {});
 
-  return new Response(`✅ 设置完成！Webhook: ${webhookUrl}`);
+  let result = `✅ 设置完成！Webhook: ${webhookUrl}`;
+  if (!env.TOKEN_KEY) {
+    warnMissingTokenKey();
+    result += '\n\n⚠️ 未设置 TOKEN_KEY，OAuth token 将以明文保存在 KV 中。请运行 openssl rand -base64 32 | wrangler secret put TOKEN_KEY';
+  }
+  return new Response(result);
 }
 
 // ==================== OAuth ====================
@@ -421,15 +1634,16 @@ async function handleOAuthCallback(request, env) {
   const code = url.searchParams.get('code');
   const state = url.searchParams.get('state');
   const error = url.searchParams.get('error');
+  let lang = getRequestLang(request);
 
   if (error) {
-    return new Response(getResultPage(false, error), {
+    return new Response(getResultPage(false, error, lang), {
       headers: { 'Content-Type': 'text/html; charset=utf-8' }
     });
   }
 
   if (!code || !state) {
-    return new Response(getResultPage(false, '参数缺失'), {
+    return new Response(getResultPage(false, translate(lang, 'oauth.missingParams'), lang), {
       headers: { 'Content-Type': 'text/html; charset=utf-8' }
     });
   }
@@ -438,16 +1652,17 @@ async function handleOAuthCallback(request, env) {
   try {
     stateData = JSON.parse(atob(state));
   } catch {
-    return new Response(getResultPage(false, 'State 无效'), {
+    return new Response(getResultPage(false, translate(lang, 'oauth.invalidState'), lang), {
       headers: { 'Content-Type': 'text/html; charset=utf-8' }
     });
   }
 
   const { userId, nonce } = stateData;
+  lang = await getUserLang(userId, env);
   const storedNonce = await env.USER_TOKENS.get(`nonce:${userId}`);
   
   if (!storedNonce || storedNonce !== nonce) {
-    return new Response(getResultPage(false, '授权已过期，请重新登录'), {
+    return new Response(getResultPage(false, translate(lang, 'oauth.expired'), lang), {
       headers: { 'Content-Type': 'text/html; charset=utf-8' }
     });
   }
@@ -467,118 +1682,101 @@ async function handleOAuthCallback(request, env) {
   const tokenData = await tokenResp.json();
   
   if (!tokenData.access_token) {
-    return new Response(getResultPage(false, tokenData.error_description || tokenData.error), {
+    return new Response(getResultPage(false, tokenData.error_description || tokenData.error, lang), {
       headers: { 'Content-Type': 'text/html; charset=utf-8' }
     });
   }
 
-  const profileResp = await fetch('https://gmail.googleapis.com/gmail/v1/users/me/profile', {
-    headers: { Authorization: `Bearer ${tokenData.access_token}` }
-  });
-  const profile = await profileResp.json();
+  let profile;
+  try {
+    profile = await gmailGet({ access_token: tokenData.access_token, refresh_token: tokenData.refresh_token }, '/profile', env);
+  } catch (e) {
+    return new Response(getResultPage(false, e.message, lang), {
+      headers: { 'Content-Type': 'text/html; charset=utf-8' }
+    });
+  }
   const email = profile.emailAddress;
 
-  await env.USER_TOKENS.put(`token:${userId}:${email}`, JSON.stringify({
+  await saveToken(userId, email, {
     access_token: tokenData.access_token,
     refresh_token: tokenData.refresh_token,
     expiry: Date.now() + tokenData.expires_in * 1000
-  }));
+  }, env);
 
   const accounts = await getAccountList(userId, env);
   if (!accounts.includes(email)) {
     accounts.push(email);
     await env.USER_TOKENS.put(`accounts:${userId}`, JSON.stringify(accounts));
   }
+  await syncPushSubscriber(userId, email, env);
 
   await env.USER_TOKENS.put(`active:${userId}`, email);
   await env.USER_TOKENS.delete(`nonce:${userId}`);
 
   await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
     chat_id: userId,
-    text: `✅ 账户绑定成功！\n\n📧 ${email}\n\n点击下方按钮开始使用`,
-    reply_markup: getMainKeyboard()
+    text: translate(lang, 'oauth.bound', { email }),
+    reply_markup: getMainKeyboard(lang)
   });
 
-  return new Response(getResultPage(true, email), {
+  return new Response(getResultPage(true, email, lang), {
     headers: { 'Content-Type': 'text/html; charset=utf-8' }
   });
 }
 
 // ==================== 邮件网页预览 ====================
-async function handleMailView(path, env) {
+async function handleMailView(path, request, env) {
   const token = path.replace('/mail/', '');
   const mailData = await env.USER_TOKENS.get(`view:${token}`);
+  let lang = getRequestLang(request);
   
   if (!mailData) {
-    return new Response(getExpiredPage(), {
+    return new Response(getExpiredPage(lang), {
       headers: { 'Content-Type': 'text/html; charset=utf-8' },
       status: 404
     });
   }
 
   try {
-    const { userId, mailId, email } = JSON.parse(mailData);
+    const { userId, mailId, threadId, email } = JSON.parse(mailData);
+    lang = await getUserLang(userId, env);
     
-    const tokenRaw = await env.USER_TOKENS.get(`token:${userId}:${email}`);
-    if (!tokenRaw) {
-      return new Response(getExpiredPage(), {
+    const tokenInfo = await getAccountByEmail(userId, email, env);
+    if (!tokenInfo) {
+      return new Response(getExpiredPage(lang), {
         headers: { 'Content-Type': 'text/html; charset=utf-8' },
         status: 401
       });
     }
 
-    let tokenInfo = JSON.parse(tokenRaw);
-    
-    if (Date.now() > tokenInfo.expiry - 60000) {
-      const refreshed = await refreshToken(tokenInfo.refresh_token, env);
-      if (refreshed) {
-        tokenInfo.access_token = refreshed.access_token;
-        tokenInfo.expiry = Date.now() + refreshed.expires_in * 1000;
-        await env.USER_TOKENS.put(`token:${userId}:${email}`, JSON.stringify(tokenInfo));
-      } else {
-        return new Response(getExpiredPage(), {
-          headers: { 'Content-Type': 'text/html; charset=utf-8' },
-          status: 401
-        });
-      }
-    }
-
-    const resp = await fetch(
-      `https://gmail.googleapis.com/gmail/v1/users/me/messages/${mailId}?format=full`,
-      { headers: { Authorization: `Bearer ${tokenInfo.access_token}` } }
-    );
-
-    if (!resp.ok) {
-      return new Response(getExpiredPage(), {
+    // 会话链接展示整个会话，否则展示单封邮件
+    let mail;
+    try {
+      mail = await gmailGet(tokenInfo, threadId ? `/threads/${threadId}?format=full` : `/messages/${mailId}?format=full`, env);
+    } catch {
+      return new Response(getExpiredPage(lang), {
         headers: { 'Content-Type': 'text/html; charset=utf-8' },
         status: 404
       });
     }
 
-    const mail = await resp.json();
-    return new Response(renderMailPage(mail), {
+    const timeZone = await getUserTimezone(userId, env);
+    return new Response(threadId ? renderThreadPage(mail, timeZone, lang) : renderMailPage(mail, timeZone, lang), {
       headers: { 'Content-Type': 'text/html; charset=utf-8' }
     });
 
   } catch (e) {
-    return new Response(getExpiredPage(), {
+    return new Response(getExpiredPage(lang), {
       headers: { 'Content-Type': 'text/html; charset=utf-8' },
       status: 500
     });
   }
 }
 
-function renderMailPage(mail) {
-  const headers = mail.payload?.headers || [];
-  const getHeader = (n) => headers.find(h => h.name.toLowerCase() === n.toLowerCase())?.value || '';
-  
-  const from = getHeader('From');
-  const to = getHeader('To');
-  const subject = getHeader('Subject') || '(无主题)';
-  const date = formatDate(getHeader('Date'), 'chinese');
-
-  let htmlContent = findBody(mail.payload, 'text/html');
-  let textContent = findBody(mail.payload, 'text/plain');
+// 解析邮件正文为网页 HTML（优先 HTML，其次纯文本）
+function getMailBodyHtml(payload, lang = DEFAULT_LANG) {
+  let htmlContent = findBody(payload, 'text/html');
+  let textContent = findBody(payload, 'text/plain');
   
   let body = '';
   if (htmlContent) {
@@ -586,7 +1784,7 @@ function renderMailPage(mail) {
       const base64 = htmlContent.replace(/-/g, '+').replace(/_/g, '/');
       body = decodeBase64(base64);
     } catch {
-      body = '<p>无法解析邮件内容</p>';
+      body = `<p>${translate(lang, 'web.parseFailed')}</p>`;
     }
   } else if (textContent) {
     try {
@@ -595,19 +1793,16 @@ function renderMailPage(mail) {
       body = '<pre style="white-space:pre-wrap;word-wrap:break-word;font-family:inherit;">' + 
              text.replace(/</g, '&lt;').replace(/>/g, '&gt;') + '</pre>';
     } catch {
-      body = '<p>无法解析邮件内容</p>';
+      body = `<p>${translate(lang, 'web.parseFailed')}</p>`;
     }
   } else {
-    body = '<p>无邮件内容</p>';
+    body = `<p>${translate(lang, 'web.noContent')}</p>`;
   }
+  return body;
+}
 
-  return `<!DOCTYPE html>
-<html lang="zh-CN">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${subject.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</title>
-  <style>
+function getMailPageStyle() {
+  return `
     * { margin: 0; padding: 0; box-sizing: border-box; }
     body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #333; line-height: 1.6; }
     .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; position: sticky; top: 0; z-index: 100; box-shadow: 0 2px 10px rgba(0,0,0,0.2); }
@@ -629,35 +1824,107 @@ function renderMailPage(mail) {
       .content { margin: 12px; }
       .content-inner { padding: 16px; }
     }
+    .msg-meta { padding: 14px 20px; background: #fafafa; border-bottom: 1px solid #eee; font-size: 13px; color: #666; }
+    .msg-meta b { color: #333; }
+  `;
+}
+
+function renderMailPage(mail, timeZone, lang = DEFAULT_LANG) {
+  const t = (key, params) => translate(lang, key, params);
+  const headers = mail.payload?.headers || [];
+  const getHeader = (n) => headers.find(h => h.name.toLowerCase() === n.toLowerCase())?.value || '';
+  
+  const from = getHeader('From');
+  const to = getHeader('To');
+  const subject = getHeader('Subject') || t('mail.noSubject');
+  const date = formatDate(getHeader('Date'), 'long', timeZone, lang);
+  const body = getMailBodyHtml(mail.payload, lang);
+
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${subject.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</title>
+  <style>
+${getMailPageStyle()}
   </style>
 </head>
 <body>
   <div class="header">
     <h1>${subject.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</h1>
     <div class="meta">
-      <div class="meta-row"><span class="meta-label">发件人</span><span class="meta-value">${from.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</span></div>
-      <div class="meta-row"><span class="meta-label">收件人</span><span class="meta-value">${to.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</span></div>
-      <div class="meta-row"><span class="meta-label">时间</span><span class="meta-value">${date}</span></div>
+      <div class="meta-row"><span class="meta-label">${t('web.from')}</span><span class="meta-value">${from.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</span></div>
+      <div class="meta-row"><span class="meta-label">${t('web.to')}</span><span class="meta-value">${to.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</span></div>
+      <div class="meta-row"><span class="meta-label">${t('web.date')}</span><span class="meta-value">${date}</span></div>
     </div>
   </div>
   <div class="content">
     <div class="content-inner">${body}</div>
   </div>
   <div class="footer">
-    <p>此链接 1 小时内有效</p>
-    <a href="tg://resolve" class="back-btn">返回 Telegram</a>
+    <p>${t('web.linkValid')}</p>
+    <a href="tg://resolve" class="back-btn">${t('web.backToTelegram')}</a>
   </div>
 </body>
 </html>`;
 }
 
-function getExpiredPage() {
+// 会话网页视图：按时间顺序堆叠会话中的所有邮件
+function renderThreadPage(thread, timeZone, lang = DEFAULT_LANG) {
+  const t = (key, params) => translate(lang, key, params);
+  const messages = thread.messages || [];
+  const firstHeaders = messages[0]?.payload?.headers || [];
+  const subject = firstHeaders.find(h => h.name.toLowerCase() === 'subject')?.value || t('mail.noSubject');
+  const escape = (v) => v.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  const cards = messages.map(mail => {
+    const headers = mail.payload?.headers || [];
+    const getHeader = (n) => headers.find(h => h.name.toLowerCase() === n.toLowerCase())?.value || '';
+    return `  <div class="content">
+    <div class="msg-meta">
+      <div><b>${escape(getHeader('From'))}</b></div>
+      <div>${t('web.toLine', { to: escape(getHeader('To')) })}</div>
+      <div>${formatDate(getHeader('Date'), 'long', timeZone, lang)}</div>
+    </div>
+    <div class="content-inner">${getMailBodyHtml(mail.payload, lang)}</div>
+  </div>`;
+  }).join('\n');
+
   return `<!DOCTYPE html>
-<html lang="zh-CN">
+<html lang="${lang}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escape(subject)}</title>
+  <style>
+${getMailPageStyle()}
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>${escape(subject)}</h1>
+    <div class="meta">
+      <div class="meta-row"><span class="meta-label">${t('web.thread')}</span><span class="meta-value">${t('web.threadCount', { count: messages.length })}</span></div>
+    </div>
+  </div>
+${cards}
+  <div class="footer">
+    <p>${t('web.linkValid')}</p>
+    <a href="tg://resolve" class="back-btn">${t('web.backToTelegram')}</a>
+  </div>
+</body>
+</html>`;
+}
+
+function getExpiredPage(lang = DEFAULT_LANG) {
+  const t = (key, params) => translate(lang, key, params);
+  return `<!DOCTYPE html>
+<html lang="${lang}">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>链接已过期</title>
+  <title>${t('web.expiredTitle')}</title>
   <style>
     body { font-family: -apple-system, BlinkMacSystemFont, sans-serif; background: linear-gradient(135deg, #1a1a2e, #16213e); color: white; min-height: 100vh; display: flex; align-items: center; justify-content: center; margin: 0; }
     .box { text-align: center; padding: 40px; }
@@ -670,9 +1937,9 @@ function getExpiredPage() {
 <body>
   <div class="box">
     <div class="icon">⏰</div>
-    <h1>链接已过期</h1>
-    <p>此邮件预览链接已失效，请返回 Telegram 重新生成</p>
-    <a href="tg://resolve" class="btn">返回 Telegram</a>
+    <h1>${t('web.expiredTitle')}</h1>
+    <p>${t('web.expiredText')}</p>
+    <a href="tg://resolve" class="btn">${t('web.backToTelegram')}</a>
   </div>
 </body>
 </html>`;
@@ -720,9 +1987,14 @@ function lightHtmlToText(html) {
 }
 
 // ==================== AI 邮件总结 ====================
-async function summarizeEmail(mailId, payload, env) {
+// 按账户和语言分开缓存，删除账户时可按前缀清除
+function getSummaryCacheKey(userId, email, mailId, lang) {
+  return `aisum:${userId}:${email}:${lang}:${mailId}`;
+}
+
+async function summarizeEmail(userId, email, mailId, payload, env, lang = DEFAULT_LANG) {
   // 先检查 KV 缓存（7天有效期）
-  const cacheKey = `aisum:${mailId}`;
+  const cacheKey = getSummaryCacheKey(userId, email, mailId, lang);
   const cached = await env.USER_TOKENS.get(cacheKey);
   if (cached) return cached;
 
@@ -748,28 +2020,12 @@ async function summarizeEmail(mailId, payload, env) {
     rawContent = '';
   }
 
-  if (!rawContent.trim()) return '(无邮件内容)';
+  if (!rawContent.trim()) return translate(lang, 'ai.noContent');
 
   // 剥离 HTML 后再截断，保证 AI 拿到的是真正的文本内容
   const truncated = rawContent.substring(0, 4000);
 
-  const prompt = `你是一名邮件内容清理与摘要助手。
-
-任务：
-1. 清理邮件中的垃圾字符和HTML代码，包括：零宽字符、&nbsp;、追踪像素、隐藏元素、样式代码等。
-2. 提取邮件的核心信息，例如：验证码、会议时间、订单金额、重要通知、操作链接。
-3. 将内容压缩为 200字以内 的摘要。
-4. 输出为 Telegram HTML 格式，可使用：<b>加粗</b> 和 <a href="URL">链接</a>，禁止使用其他HTML标签。
-5. 如果检测到验证码（4-8位数字），优先突出显示：<b>验证码：123456</b>
-6. 如果原文不是中文，请翻译为中文。
-7. 删除营销内容、页脚、免责声明等无关信息。
-
-只输出最终摘要结果，不要解释，不要输出原文，不要输出任何其他内容。
-
-原始邮件内容：
-----------------------------------------
-${truncated}
-----------------------------------------`;
+  const prompt = translate(lang, 'ai.prompt', { content: truncated });
 
   try {
     const aiResp = await Promise.race([
@@ -787,7 +2043,7 @@ ${truncated}
     summary = summary.replace(/^```[\s\S]*?```$/gm, '').trim();
     summary = summary.replace(/^`|`$/g, '').trim();
 
-    if (!summary) summary = '(AI总结失败，请在浏览器查看完整邮件)';
+    if (!summary) summary = translate(lang, 'ai.failed');
 
     // 写入 KV 缓存，7天过期
     await env.USER_TOKENS.put(cacheKey, summary, { expirationTtl: 604800 });
@@ -795,11 +2051,108 @@ ${truncated}
     return summary;
   } catch (e) {
     console.error('AI summarize error:', e);
-    return '(AI总结出错，请在浏览器查看完整邮件)';
+    return translate(lang, 'ai.error');
+  }
+}
+
+// ==================== 验证码提取 ====================
+// 基于规则提取验证码和登录链接，不依赖 AI，推送时可立即显示
+const OTP_STRONG_KEYWORDS = '验证码|校验码|动态码|动态密码|确认码|安全码|登录码|verification code|security code|login code|sign-in code|one-time code|one-time password|passcode|otp';
+// 英文关键词加单词边界（避免 shipping、opinion 中的 pin）；单独的 code/pin 需出现在 "your ... code is" 这类句式中
+const OTP_KEYWORDS = OTP_STRONG_KEYWORDS.split('|').map(k => /^[a-z]/i.test(k) ? `\\b${k}\\b` : k).join('|');
+const OTP_DIGITS = '(\\d{4,8}|\\d{3}[- ]\\d{3})';
+const OTP_CANDIDATE = new RegExp(`\\b${OTP_DIGITS}\\b`, 'g');
+const OTP_AFTER_KEYWORD = new RegExp(`(?:${OTP_KEYWORDS})`, 'gi');
+const OTP_BEFORE_KEYWORD = new RegExp(`\\b${OTP_DIGITS}\\b[^\\n\\d]{0,30}?(?:${OTP_KEYWORDS})`, 'gi');
+const OTP_WEAK_KEYWORD = new RegExp(`\\byour\\s+(?!promo|coupon|discount|gift)(?:[a-z-]+\\s+)?(?:code|pin)\\b(?:\\s+is)?\\s*[:：]?\\s*${OTP_DIGITS}\\b`, 'gi');
+// 字母数字混合的验证码（如 K7PX2Q），必须紧跟明确的验证码关键词（避免误识别优惠码）且同时含字母和数字
+// 分隔允许空格、冒号、"是/为"和英文的 is（如 "code is AB12CD"），候选必须含数字，避免把 "code below" 之类的单词当作验证码
+const OTP_ALNUM_CODE = '((?=[A-Z]*\\d)[A-Z0-9]{5,8})\\b';
+const OTP_ALNUM_SEPARATOR = '(?:[\\s:：是为]|\\bis\\b){1,5}';
+const OTP_ALNUM = new RegExp(`(?:${OTP_KEYWORDS})${OTP_ALNUM_SEPARATOR}${OTP_ALNUM_CODE}`, 'gi');
+const OTP_ALNUM_WEAK = new RegExp(`\\byour\\s+(?!promo|coupon|discount|gift)(?:[a-z-]+\\s+)?(?:code|pin)\\b${OTP_ALNUM_SEPARATOR}${OTP_ALNUM_CODE}`, 'gi');
+const MAGIC_LINK_TEXT = /(登录|登入|验证|确认|log ?in|sign ?in|verify|confirm|magic link|authenticate)/i;
+const MAGIC_LINK_URL = /(login|log-in|signin|sign-in|sign_in|magic|verify|verification|auth|confirm|token=)/i;
+const MAGIC_LINK_EXCLUDE = /(unsubscribe|退订|preferences|privacy)/i;
+
+// 形如年份（1900-2099）的 4 位数字不当作验证码
+function normalizeOtp(value) {
+  const code = value.replace(/[- ]/g, '');
+  return /^(19|20)\d{2}$/.test(code) ? null : code;
+}
+
+function extractVerificationCode(text) {
+  // 关键词之后同一行 30 个字符内出现的第一个数字
+  for (const keyword of text.matchAll(OTP_AFTER_KEYWORD)) {
+    const rest = text.substring(keyword.index + keyword[0].length);
+    for (const match of rest.matchAll(OTP_CANDIDATE)) {
+      if (match.index > 30 || rest.substring(0, match.index).includes('\n')) break;
+      const code = normalizeOtp(match[1]);
+      if (code) return code;
+    }
+  }
+  for (const pattern of [OTP_BEFORE_KEYWORD, OTP_WEAK_KEYWORD]) {
+    for (const match of text.matchAll(pattern)) {
+      const code = normalizeOtp(match[1]);
+      if (code) return code;
+    }
+  }
+  for (const pattern of [OTP_ALNUM, OTP_ALNUM_WEAK]) {
+    for (const match of text.matchAll(pattern)) {
+      if (/[A-Z]/.test(match[1])) return match[1];
+    }
+  }
+  return null;
+}
+
+// 链接前的文字（或 HTML 转换后的锚文本）需包含登录/验证类词语
+function extractMagicLink(text) {
+  const urlPattern = /https?:\/\/[^\s)<>"']+/g;
+  let match;
+  while ((match = urlPattern.exec(text))) {
+    const url = match[0];
+    const context = text.substring(Math.max(0, match.index - 60), match.index);
+    if (MAGIC_LINK_URL.test(url) && !MAGIC_LINK_EXCLUDE.test(url) && MAGIC_LINK_TEXT.test(context)) {
+      return url;
+    }
   }
+  return null;
+}
+
+// 返回 { code, link }，都没有时返回 null
+function extractVerificationInfo(mail) {
+  const subject = mail.payload?.headers?.find(h => h.name.toLowerCase() === 'subject')?.value || '';
+  const body = getPlainText(mail.payload).substring(0, 5000);
+
+  const code = extractVerificationCode(subject) || extractVerificationCode(body);
+  const link = extractMagicLink(body);
+  return code || link ? { code, link } : null;
+}
+
+function formatVerificationText(info, t) {
+  let text = '';
+  if (info.code) text += `${t('otp.code', { code: info.code })}\n`;
+  if (info.link) text += `${t('otp.link', { url: escapeHtml(info.link) })}\n`;
+  return text;
+}
+
+// copy_text 按钮点击即复制验证码
+function getVerificationButtons(info, t) {
+  const row = [];
+  if (info.code) row.push({ text: t('otp.copy', { code: info.code }), copy_text: { text: info.code } });
+  if (info.link) row.push({ text: t('otp.openLink'), url: info.link });
+  return row;
 }
 
 // ==================== 生成预览链接 ====================
+// 链接 token 不含 userId，另存按用户的索引，删除账户时无需遍历所有用户的链接
+async function indexViewLink(userId, email, token, env) {
+  await env.USER_TOKENS.put(`viewidx:${userId}:${token}`, `view:${token}`, {
+    expirationTtl: 3600,
+    metadata: { email }
+  });
+}
+
 async function generateViewLink(userId, mailId, email, env) {
   const origin = await env.USER_TOKENS.get('origin');
   const token = crypto.randomUUID();
@@ -809,18 +2162,327 @@ async function generateViewLink(userId, mailId, email, env) {
     mailId,
     email
   }), { expirationTtl: 3600 });
+  await indexViewLink(userId, email, token, env);
+  
+  return `${origin}/mail/${token}`;
+}
+
+async function generateThreadViewLink(userId, threadId, email, env) {
+  const origin = await env.USER_TOKENS.get('origin');
+  const token = crypto.randomUUID();
+  
+  await env.USER_TOKENS.put(`view:${token}`, JSON.stringify({
+    userId,
+    threadId,
+    email
+  }), { expirationTtl: 3600 });
+  await indexViewLink(userId, email, token, env);
   
   return `${origin}/mail/${token}`;
 }
 
+// ==================== 会话状态 ====================
+// 记录用户当前正在进行的多步操作（如回复邮件），30分钟后自动过期
+async function getUserState(userId, env) {
+  const raw = await env.USER_TOKENS.get(`state:${userId}`);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+async function setUserState(userId, state, env) {
+  await env.USER_TOKENS.put(`state:${userId}`, JSON.stringify(state), { expirationTtl: 1800 });
+}
+
+async function clearUserState(userId, env) {
+  await env.USER_TOKENS.delete(`state:${userId}`);
+}
+
+// ==================== 邮件构建与发送 ====================
+function base64UrlEncode(str) {
+  const bytes = new TextEncoder().encode(str);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// 按 76 字符折行的标准 base64（用于 MIME 正文）
+function base64Mime(str) {
+  const bytes = new TextEncoder().encode(str);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/.{76}/g, '$&\r\n');
+}
+
+// RFC 2047 编码：含非 ASCII 字符的头部值使用 =?UTF-8?B?...?=
+function encodeMimeHeader(value) {
+  if (!/[^\x20-\x7e]/.test(value)) return value;
+  return `=?UTF-8?B?${base64Mime(value).replace(/\r\n/g, '')}?=`;
+}
+
+// 解析地址列表头部（From/To/Cc），逗号分隔但忽略引号内的逗号
+function parseAddressList(value) {
+  if (!value) return [];
+  const parts = [];
+  let current = '';
+  let inQuote = false;
+  for (const ch of value) {
+    if (ch === '"') inQuote = !inQuote;
+    if (ch === ',' && !inQuote) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  parts.push(current);
+
+  return parts.map(part => {
+    const emailMatch = part.match(/[\w.+-]+@[\w.-]+\.[a-z]+/i);
+    if (!emailMatch) return null;
+    const nameMatch = part.match(/^\s*["']?([^"'<]+?)["']?\s*</);
+    return { name: nameMatch ? nameMatch[1].trim() : '', email: emailMatch[0] };
+  }).filter(Boolean);
+}
+
+function formatAddressList(addresses) {
+  return addresses
+    .map(a => {
+      if (!a.name) return a.email;
+      const name = a.name.replace(/"/g, '');
+      return /[^\x20-\x7e]/.test(name) ? `${encodeMimeHeader(name)} <${a.email}>` : `"${name}" <${a.email}>`;
+    })
+    .join(', ');
+}
+
+// 构建单个 MIME 部分（正文已是 base64）
+function buildMimePart(contentType, base64Body, extraHeaders = []) {
+  return [
+    `Content-Type: ${contentType}`,
+    'Content-Transfer-Encoding: base64',
+    ...extraHeaders,
+    '',
+    base64Body
+  ].join('\r\n');
+}
+
+function buildMultipart(subtype, parts) {
+  const boundary = `----=_Part_${crypto.randomUUID().replace(/-/g, '')}`;
+  const body = parts.map(p => `--${boundary}\r\n${p}`).join('\r\n') + `\r\n--${boundary}--`;
+  return `Content-Type: multipart/${subtype}; boundary="${boundary}"\r\n\r\n${body}`;
+}
+
+// attachments: [{ name, mimeType, data }]，data 为 Gmail 返回的 base64url
+function buildRawMessage({ to, cc, subject, body, html, attachments, inReplyTo, references }) {
+  const lines = [];
+  lines.push(`To: ${formatAddressList(to)}`);
+  if (cc?.length) lines.push(`Cc: ${formatAddressList(cc)}`);
+  lines.push(`Subject: ${encodeMimeHeader(subject)}`);
+  if (inReplyTo) lines.push(`In-Reply-To: ${inReplyTo}`);
+  if (references) lines.push(`References: ${references}`);
+  lines.push('MIME-Version: 1.0');
+
+  let content = buildMimePart('text/plain; charset=UTF-8', base64Mime(body));
+  if (html) {
+    content = buildMultipart('alternative', [
+      content,
+      buildMimePart('text/html; charset=UTF-8', base64Mime(html))
+    ]);
+  }
+  if (attachments?.length) {
+    content = buildMultipart('mixed', [
+      content,
+      ...attachments.map(att => {
+        const name = encodeMimeHeader(att.name).replace(/"/g, '');
+        const data = att.data.replace(/-/g, '+').replace(/_/g, '/').replace(/.{76}/g, '$&\r\n');
+        return buildMimePart(
+          `${att.mimeType || 'application/octet-stream'}; name="${name}"`,
+          data,
+          [`Content-Disposition: attachment; filename="${name}"`]
+        );
+      })
+    ]);
+  }
+
+  lines.push(content);
+  return lines.join('\r\n');
+}
+
+// 提取邮件纯文本正文（无纯文本时从 HTML 转换）
+function getPlainText(payload) {
+  try {
+    const textData = findBody(payload, 'text/plain');
+    if (textData) {
+      return decodeBase64(textData.replace(/-/g, '+').replace(/_/g, '/')).trim();
+    }
+    const htmlData = findBody(payload, 'text/html');
+    if (htmlData) {
+      return lightHtmlToText(decodeBase64(htmlData.replace(/-/g, '+').replace(/_/g, '/')));
+    }
+  } catch {
+    return '';
+  }
+  return '';
+}
+
+// 计算回复的收件人：优先 Reply-To，全部回复时附带原收件人和抄送（排除自己）
+function getReplyRecipients(mail, replyAll, selfEmail) {
+  const headers = mail.payload?.headers || [];
+  const getHeader = (n) => headers.find(h => h.name.toLowerCase() === n.toLowerCase())?.value || '';
+  const self = selfEmail.toLowerCase();
+
+  const to = parseAddressList(getHeader('Reply-To') || getHeader('From'));
+  let cc = [];
+
+  if (replyAll) {
+    const seen = new Set(to.map(a => a.email.toLowerCase()));
+    seen.add(self);
+    for (const addr of parseAddressList(getHeader('To'))) {
+      if (seen.has(addr.email.toLowerCase())) continue;
+      seen.add(addr.email.toLowerCase());
+      to.push(addr);
+    }
+    cc = parseAddressList(getHeader('Cc')).filter(addr => {
+      if (seen.has(addr.email.toLowerCase())) return false;
+      seen.add(addr.email.toLowerCase());
+      return true;
+    });
+  }
+
+  // 回复自己发出的邮件时，改为回复原收件人
+  if (to.length === 1 && to[0].email.toLowerCase() === self) {
+    const original = parseAddressList(getHeader('To')).filter(a => a.email.toLowerCase() !== self);
+    if (original.length) return { to: original, cc };
+  }
+
+  return { to, cc };
+}
+
+function buildReplyMessage(mail, body, replyAll, selfEmail, timeZone, lang = DEFAULT_LANG) {
+  const headers = mail.payload?.headers || [];
+  const getHeader = (n) => headers.find(h => h.name.toLowerCase() === n.toLowerCase())?.value || '';
+
+  const { to, cc } = getReplyRecipients(mail, replyAll, selfEmail);
+  const originalSubject = getHeader('Subject');
+  const subject = /^re:/i.test(originalSubject) ? originalSubject : `Re: ${originalSubject}`;
+  const messageId = getHeader('Message-ID') || getHeader('Message-Id');
+  const references = [getHeader('References'), messageId].filter(Boolean).join(' ');
+
+  // 引用原文（与 Gmail 网页版的回复格式一致）
+  const quoted = getPlainText(mail.payload)
+    .substring(0, 10000)
+    .split('\n')
+    .map(line => `> ${line}`)
+    .join('\n');
+  const attribution = translate(lang, 'reply.attribution', {
+    date: formatDate(getHeader('Date'), 'full', timeZone),
+    from: getHeader('From')
+  });
+  const fullBody = `${body}\n\n${attribution}\n${quoted}`;
+
+  return {
+    to,
+    cc,
+    subject,
+    raw: buildRawMessage({ to, cc, subject, body: fullBody, inReplyTo: messageId, references })
+  };
+}
+
+// 与 Gmail 网页版一致：备注 + 原邮件头部信息 + 原文，附件随邮件一起转发
+function buildForwardMessage(mail, to, note, attachments) {
+  const headers = mail.payload?.headers || [];
+  const getHeader = (n) => headers.find(h => h.name.toLowerCase() === n.toLowerCase())?.value || '';
+
+  const originalSubject = getHeader('Subject');
+  const subject = /^fwd?:/i.test(originalSubject) ? originalSubject : `Fwd: ${originalSubject}`;
+
+  const headerBlock = [
+    '---------- Forwarded message ---------',
+    `From: ${getHeader('From')}`,
+    `Date: ${getHeader('Date')}`,
+    `Subject: ${originalSubject}`,
+    `To: ${getHeader('To')}`
+  ];
+  if (getHeader('Cc')) headerBlock.push(`Cc: ${getHeader('Cc')}`);
+
+  const body = `${note ? `${note}\n\n` : ''}${headerBlock.join('\n')}\n\n${getPlainText(mail.payload)}`;
+
+  let html = null;
+  const htmlData = findBody(mail.payload, 'text/html');
+  if (htmlData) {
+    try {
+      const originalHtml = decodeBase64(htmlData.replace(/-/g, '+').replace(/_/g, '/'));
+      html = (note ? `<p>${escapeHtml(note).replace(/\n/g, '<br>')}</p><br>` : '') +
+        `<div>${headerBlock.map(escapeHtml).join('<br>')}</div><br>${originalHtml}`;
+    } catch {
+      html = null;
+    }
+  }
+
+  return {
+    subject,
+    raw: buildRawMessage({ to, subject, body, html, attachments })
+  };
+}
+
+async function sendGmailMessage(account, raw, threadId, env) {
+  const payload = { raw: base64UrlEncode(raw) };
+  if (threadId) payload.threadId = threadId;
+
+  try {
+    const data = await gmailPost(account, '/messages/send', payload, env);
+    return { ok: true, status: 200, data };
+  } catch (e) {
+    if (!(e instanceof GmailError)) throw e;
+    return { ok: false, status: e.status, data: { error: { message: e.message } } };
+  }
+}
+
+// 发送失败时的提示文本（403 通常是旧授权缺少发送权限）
+function getSendErrorText(result, t) {
+  if (result.status === 403) {
+    return t('send.noPermission');
+  }
+  return t('send.failed', { error: result.data?.error?.message || t('common.unknownError') });
+}
+
 // ==================== Telegram 更新处理 ====================
 async function handleTelegramUpdate(update, env, origin) {
   await env.USER_TOKENS.put('origin', origin);
 
-  if (update.callback_query) {
-    await handleCallback(update.callback_query, env);
-  } else if (update.message?.text) {
-    await handleMessage(update.message, env);
+  const from = update.callback_query?.from || update.message?.from;
+  if (from?.language_code) {
+    await rememberTelegramLang(String(from.id), from.language_code, env);
+  }
+
+  // 文字消息可能是多步操作的输入，处理时状态会被清除，失败重试前需要恢复
+  const state = update.message?.text && from ? await getUserState(String(from.id), env) : null;
+
+  try {
+    if (update.callback_query) {
+      await handleCallback(update.callback_query, env);
+    } else if (update.message?.text) {
+      await handleMessage(update.message, env);
+    }
+  } catch (e) {
+    if (!(e instanceof GmailError) || !from) throw e;
+    console.error('Gmail error:', e);
+    const userId = String(from.id);
+    const chatId = update.callback_query?.message.chat.id || update.message.chat.id;
+    let retryData = update.callback_query?.data;
+    if (!retryData) {
+      const { text, reply_to_message: replyTo } = update.message;
+      await env.USER_TOKENS.put(`retry:${userId}`, JSON.stringify({
+        text,
+        reply_to_message: replyTo ? { message_id: replyTo.message_id } : undefined,
+        state
+      }), { expirationTtl: 3600 });
+      retryData = 'retry';
+    }
+    await sendGmailError(chatId, userId, e, retryData, env);
   }
 }
 
@@ -829,29 +2491,52 @@ async function handleMessage(message, env) {
   const userId = String(message.from.id);
   const text = message.text.trim();
 
-  // ✅ 使用新函数
-  const todayStr = getTodayDateString();
-
+  // 键盘按钮按动作分发，与按钮的显示语言无关
   const handlers = {
-    '/start': () => sendWelcome(chatId, userId, env),
-    '🏠 主菜单': () => sendWelcome(chatId, userId, env),
-    '📬 收件箱': () => sendMailList(chatId, userId, 'in:inbox', null, null, env),
-    '📅 今日': () => sendMailList(chatId, userId, `after:${todayStr}`, null, null, env),
-    '⭐ 星标': () => sendMailList(chatId, userId, 'is:starred', null, null, env),
-    '🔍 搜索': () => sendSearchHelp(chatId, env),
-    '📊 统计': () => sendStats(chatId, userId, null, env),
-    '✅ 全已读': () => markAllRead(chatId, userId, env),
-    '👤 账户管理': () => sendAccountManager(chatId, userId, null, env),
-    '⚙️ 设置': () => sendSettings(chatId, userId, env)
+    start: () => sendWelcome(chatId, userId, env),
+    home: () => sendWelcome(chatId, userId, env),
+    inbox: () => sendMailList(chatId, userId, 'in:inbox', null, null, env),
+    today: async () => sendMailList(chatId, userId, `after:${getTodayTimestamp(await getUserTimezone(userId, env))}`, null, null, env),
+    starred: () => sendMailList(chatId, userId, 'is:starred', null, null, env),
+    search: () => sendSearchHelp(chatId, userId, env),
+    stats: () => sendStats(chatId, userId, null, env),
+    readall: () => markAllRead(chatId, userId, env),
+    compose: () => startCompose(chatId, userId, env),
+    labels: () => sendLabelMenu(chatId, userId, null, env),
+    accounts: () => sendAccountManager(chatId, userId, null, env),
+    settings: () => sendSettings(chatId, userId, null, env),
+    forgetme: () => sendForgetConfirm(chatId, userId, env)
   };
+  const commands = { '/start': 'start', '/forgetme': 'forgetme' };
+  const action = commands[text] || findKeyboardAction(text);
+
+  // 直接回复 Bot 发出的邮件详情或新邮件通知，即回复该邮件
+  if (message.reply_to_message) {
+    const repliedMailId = await env.USER_TOKENS.get(`msgmail:${userId}:${message.reply_to_message.message_id}`);
+    if (repliedMailId) {
+      await clearUserState(userId, env);
+      await sendReply(chatId, userId, repliedMailId, text, false, env);
+      return;
+    }
+  }
 
-  if (handlers[text]) {
-    await handlers[text]();
+  if (action) {
+    await clearUserState(userId, env);
+    await handlers[action]();
     return;
   }
 
-  if (text.startsWith('搜索 ') || text.startsWith('/search ')) {
-    const query = text.replace(/^(搜索 |\/search )/, '').trim();
+  // 多步操作中，文本作为下一步输入
+  const state = await getUserState(userId, env);
+  if (state) {
+    await handleStateInput(chatId, userId, state, text, env);
+    return;
+  }
+
+  const searchPrefix = ['/search ', ...SUPPORTED_LANGS.map(lang => translate(lang, 'search.prefix'))]
+    .find(prefix => text.toLowerCase().startsWith(prefix.toLowerCase()));
+  if (searchPrefix) {
+    const query = text.substring(searchPrefix.length).trim();
     if (query) {
       await sendMailList(chatId, userId, query, null, null, env);
     }
@@ -861,65 +2546,253 @@ async function handleMessage(message, env) {
   await sendWelcome(chatId, userId, env);
 }
 
+async function handleStateInput(chatId, userId, state, text, env) {
+  const t = await getTranslator(userId, env);
+  const cancelKeyboard = { inline_keyboard: [[{ text: t('common.cancel'), callback_data: 'cancel' }]] };
+
+  switch (state.type) {
+    case 'reply':
+      await clearUserState(userId, env);
+      await sendReply(chatId, userId, state.mailId, text, state.replyAll, env);
+      return;
+    case 'compose':
+      await handleComposeInput(chatId, userId, state, text, env);
+      return;
+    case 'forward':
+      await handleForwardInput(chatId, userId, state, text, env);
+      return;
+    case 'snooze': {
+      const until = parseSnoozeInput(text, await getUserTimezone(userId, env));
+      if (!until || until <= Date.now()) {
+        await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+          chat_id: chatId,
+          text: t('snooze.invalidTime'),
+          reply_markup: cancelKeyboard
+        });
+        return;
+      }
+      await clearUserState(userId, env);
+      await snoozeMail(chatId, userId, state.mailId, until, null, env);
+      return;
+    }
+    case 'digesttime': {
+      const match = text.replace(/：/g, ':').match(/^(\d{1,2}):(\d{2})$/);
+      if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+        await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+          chat_id: chatId,
+          text: t('digest.invalidTime'),
+          reply_markup: cancelKeyboard
+        });
+        return;
+      }
+      await clearUserState(userId, env);
+      await setDigestTime(userId, `${match[1].padStart(2, '0')}:${match[2]}`, env);
+      await sendSettings(chatId, userId, null, env);
+      return;
+    }
+    case 'timezone': {
+      // 规范化大小写（如 europe/berlin → Europe/Berlin）
+      const input = text.trim();
+      const timeZone = isValidTimeZone(input)
+        ? new Intl.DateTimeFormat('en-US', { timeZone: input }).resolvedOptions().timeZone
+        : null;
+      if (!timeZone) {
+        await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+          chat_id: chatId,
+          text: t('tz.invalid'),
+          reply_markup: cancelKeyboard
+        });
+        return;
+      }
+      await clearUserState(userId, env);
+      await setUserTimezone(userId, timeZone, env);
+      await sendTimezoneMenu(chatId, userId, null, env);
+      return;
+    }
+    case 'newlabel':
+      await clearUserState(userId, env);
+      await createLabel(chatId, userId, text, state.mailId, env);
+      return;
+    case 'quietwindow': {
+      const match = text.replace(/：/g, ':').replace(/\s/g, '').match(/^(\d{1,2}):(\d{2})[-–~到](\d{1,2}):(\d{2})$/);
+      const valid = match && parseInt(match[1]) < 24 && parseInt(match[3]) < 24 &&
+        parseInt(match[2]) < 60 && parseInt(match[4]) < 60;
+      if (!valid) {
+        await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+          chat_id: chatId,
+          text: t('quiet.invalidWindow'),
+          reply_markup: cancelKeyboard
+        });
+        return;
+      }
+      await clearUserState(userId, env);
+      const quiet = await getQuietConfig(userId, env);
+      quiet.start = `${match[1].padStart(2, '0')}:${match[2]}`;
+      quiet.end = `${match[3].padStart(2, '0')}:${match[4]}`;
+      quiet.enabled = true;
+      await saveQuietConfig(userId, quiet, env);
+      await sendQuietMenu(chatId, userId, null, env);
+      return;
+    }
+    case 'quietvip': {
+      await clearUserState(userId, env);
+      const quiet = await getQuietConfig(userId, env);
+      const entries = text.toLowerCase().split(/[,，;；\s]+/).map(v => v.replace(/^@/, '')).filter(Boolean);
+      quiet.vips = [...new Set([...quiet.vips, ...entries])].slice(0, 50);
+      quiet.vipBypass = true;
+      await saveQuietConfig(userId, quiet, env);
+      await sendQuietMenu(chatId, userId, null, env);
+      return;
+    }
+    case 'rule':
+      // 等待选择动作时收到文本，重新显示动作按钮
+      if (state.step === 'action') {
+        await sendRuleActionMenu(chatId, userId, state, null, env);
+      } else {
+        await handleRuleInput(chatId, userId, state, text, env);
+      }
+      return;
+    default:
+      await clearUserState(userId, env);
+      await sendWelcome(chatId, userId, env);
+  }
+}
+
 // ==================== 欢迎消息 ====================
 async function sendWelcome(chatId, userId, env) {
   const accounts = await getAccountList(userId, env);
   const active = await env.USER_TOKENS.get(`active:${userId}`);
+  const t = await getTranslator(userId, env);
   
   let text = '📧 *Gmail Telegram Bot*\n━━━━━━━━━━━━━━━━━━━━\n\n';
   
   if (accounts.length > 0) {
-    text += `👤 当前账户: ${active || '未选择'}\n📊 已绑定 ${accounts.length} 个账户\n\n`;
-    text += '使用下方按钮操作 👇';
+    text += t('welcome.accounts', { active: active || t('welcome.noActive'), count: accounts.length });
   } else {
-    text += '👋 欢迎使用！\n\n请点击 *👤 账户管理* 添加 Gmail 账户';
+    text += t('welcome.new');
   }
 
   await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
     chat_id: chatId,
     text,
     parse_mode: 'Markdown',
-    reply_markup: getMainKeyboard()
+    reply_markup: getMainKeyboard(t.lang)
   });
 }
 
 // ==================== 邮件列表 ====================
-async function sendMailList(chatId, userId, query, pageToken, editMsgId, env) {
+// 绑定了多个账户且开启全部账户模式时，列表和搜索合并所有账户
+async function isUnifiedMode(userId, accountList, env) {
+  return accountList.length > 1 && (await env.USER_TOKENS.get(`allmode:${userId}`)) === '1';
+}
+
+// 当前列表涉及的账户：全部账户模式下为所有账户，否则为当前账户
+async function getListAccounts(userId, env) {
+  const accountList = await getAccountList(userId, env);
+  if (!(await isUnifiedMode(userId, accountList, env))) {
+    const account = await getActiveAccount(userId, env);
+    return account ? [account] : [];
+  }
+  return (await Promise.all(accountList.map(email => getUserAccount(userId, email, env)))).filter(Boolean);
+}
+
+async function getPageSize(userId, env) {
+  const size = parseInt(await env.USER_TOKENS.get(`pagesize:${userId}`) || '');
+  return PAGE_SIZES.includes(size) ? size : DEFAULT_PAGE_SIZE;
+}
+
+// 全部账户模式下实际使用的每页数量（不少于最小的可选值）
+function getUnifiedPageSize(pageSize, accountCount) {
+  return Math.min(pageSize, Math.max(PAGE_SIZES[0], Math.floor(UNIFIED_CANDIDATE_MAX / accountCount)));
+}
+
+// 翻页栈：tokens[i] 为第 i+1 页的 pageToken（全部账户模式下为各账户游标）
+// 查询、会话模式、全部账户模式或每页数量变化时从第一页重新开始
+async function getPageStack(userId, list, env) {
+  const raw = await env.USER_TOKENS.get(`pages:${userId}`);
+  const stack = raw ? JSON.parse(raw) : null;
+  const same = stack && ['query', 'threadMode', 'unified', 'pageSize'].every(key => stack[key] === list[key]);
+  return same ? stack : { ...list, tokens: [null] };
+}
+
+// pageIndex 为页码（从 0 开始），为空或超出已知页数时显示第一页
+async function sendMailList(chatId, userId, query, pageIndex, editMsgId, env) {
   const account = await getActiveAccount(userId, env);
+  const t = await getTranslator(userId, env);
   
   if (!account) {
     const method = editMsgId ? 'editMessageText' : 'sendMessage';
     const params = {
       chat_id: chatId,
-      text: '⚠️ 请先绑定账户\n\n点击 *👤 账户管理* 添加 Gmail',
+      text: t('account.required'),
       parse_mode: 'Markdown'
     };
     if (editMsgId) params.message_id = editMsgId;
-    else params.reply_markup = getMainKeyboard();
+    else params.reply_markup = getMainKeyboard(t.lang);
     await sendTelegram(env.BOT_TOKEN, method, params);
     return;
   }
 
+  const timeZone = await getUserTimezone(userId, env);
+
+  // 会话模式下按 thread 列出，每行一个会话
+  const threadMode = (await env.USER_TOKENS.get(`threadmode:${userId}`)) === '1';
+
+  // 全部账户模式下 pageToken 为各账户的游标，否则为 Gmail 的 pageToken
+  const accountList = await getAccountList(userId, env);
+  const unified = await isUnifiedMode(userId, accountList, env);
+  const userPageSize = await getPageSize(userId, env);
+  const pageSize = unified ? getUnifiedPageSize(userPageSize, accountList.length) : userPageSize;
+  const stack = await getPageStack(userId, { query, threadMode, unified, pageSize }, env);
+  if (!(pageIndex > 0 && pageIndex < stack.tokens.length)) pageIndex = 0;
+  const pageToken = stack.tokens[pageIndex];
+
   await env.USER_TOKENS.put(`lastquery:${userId}`, query, { expirationTtl: 3600 });
+  await env.USER_TOKENS.put(`lastpage:${userId}`, String(pageIndex), { expirationTtl: 3600 });
+
+  const cache = await loadMetadataCache(userId, env);
+  const options = { threadMode, pageSize, timeZone, t, cache };
+  let page;
+  if (unified) {
+    const accounts = (await Promise.all(
+      accountList.map(email => email === account.email ? account : getUserAccount(userId, email, env))
+    )).filter(Boolean);
+    page = await fetchUnifiedMailPage(accounts, query, pageToken, options, env);
+  } else {
+    page = await fetchMailPage(account, query, pageToken, 0, options, env);
+  }
+  await saveMetadataCache(userId, cache, env);
+  const { mails, nextPageToken } = page;
+
+  // 下一页的游标变化（如有新邮件）时，之前记录的后续页已失效
+  if (JSON.stringify(stack.tokens[pageIndex + 1] ?? null) !== JSON.stringify(nextPageToken)) {
+    stack.tokens = stack.tokens.slice(0, pageIndex + 1);
+    if (nextPageToken) stack.tokens.push(nextPageToken);
+  }
+  await env.USER_TOKENS.put(`pages:${userId}`, JSON.stringify(stack), { expirationTtl: 3600 });
 
-  const listUrl = new URL('https://gmail.googleapis.com/gmail/v1/users/me/messages');
-  listUrl.searchParams.set('maxResults', PAGE_SIZE);
-  listUrl.searchParams.set('q', query);
-  if (pageToken) listUrl.searchParams.set('pageToken', pageToken);
+  const modeButton = { text: threadMode ? t('list.messageMode') : t('list.threadMode'), callback_data: 'tmode' };
+  const pageLabel = pageIndex > 0 || nextPageToken ? ` · ${t('list.page', { page: pageIndex + 1 })}` : '';
+  const title = `${unified ? `${t('list.allAccounts')}\n` : ''}${formatQueryForDisplay(query, timeZone, t.lang)}${pageLabel}`;
+  const prevButton = { text: t('list.prevPage'), callback_data: `pg:${pageIndex - 1}` };
 
-  const listResp = await fetch(listUrl, {
-    headers: { Authorization: `Bearer ${account.access_token}` }
-  });
-  const listData = await listResp.json();
+  // 最近一次归档/删除仍可撤销时显示撤销按钮
+  const undoRecord = await getLatestRemoval(userId, env);
+  const undoRow = undoRecord
+    ? [{ text: t(undoRecord.action === 'archive' ? 'undo.archive' : 'undo.delete'), callback_data: 'undo' }]
+    : null;
 
-  if (!listData.messages?.length) {
+  if (!mails.length) {
     const method = editMsgId ? 'editMessageText' : 'sendMessage';
     const params = {
       chat_id: chatId,
-      text: ` ${formatQueryForDisplay(query)}\n\n没有找到匹配的邮件`,
+      text: ` ${title}\n\n${t('list.empty')}`,
       parse_mode: 'HTML',  // ✅ 添加这一行，支持HTML链接
       reply_markup: {
-        inline_keyboard: [[{ text: '🔄 刷新', callback_data: `ref:${query.substring(0, 50)}` }]]
+        inline_keyboard: [
+          ...(undoRow ? [undoRow] : []),
+          [...(pageIndex > 0 ? [prevButton] : []), { text: t('common.refresh'), callback_data: `ref:${query.substring(0, 50)}` }, modeButton]
+        ]
       }
     };
     if (editMsgId) params.message_id = editMsgId;
@@ -927,55 +2800,23 @@ async function sendMailList(chatId, userId, query, pageToken, editMsgId, env) {
     return;
   }
 
-const mails = [];
-for (const msg of listData.messages) {
-  const detailResp = await fetch(
-    `https://gmail.googleapis.com/gmail/v1/users/me/messages/${msg.id}?format=metadata&metadataHeaders=From&metadataHeaders=Subject&metadataHeaders=Date`,
-    { headers: { Authorization: `Bearer ${account.access_token}` } }
-  );
-  const detail = await detailResp.json();
-  const headers = detail.payload?.headers || [];
-  const getHeader = (n) => headers.find(h => h.name.toLowerCase() === n.toLowerCase())?.value || '';
-  
-  // ✅ 修复后的发件人提取
-  const fromHeader = getHeader('From');
-  let fromName = fromHeader;
-  
-  // 提取邮箱地址（支持 + 号等特殊字符）
-  const emailMatch = fromHeader.match(/[\w.+-]+@[\w.-]+\.[a-z]+/i);
-  
-  if (emailMatch) {
-    const email = emailMatch[0];
-    
-    // 尝试提取显示名称（在 < 之前的部分）
-    const nameMatch = fromHeader.match(/^["']?([^"'<]+)["']?\s*</);
-    
-    if (nameMatch) {
-      // 有显示名称，使用它
-      fromName = nameMatch[1].trim();
-    } else {
-      // 没有显示名称，使用邮箱地址
-      fromName = email;
-    }
-  }
-  
-  mails.push({
-    id: msg.id,
-    from: fromName.substring(0, 20),
-    subject: (getHeader('Subject') || '(无主题)').substring(0, 30),
-    date: formatDate(getHeader('Date')),
-    unread: detail.labelIds?.includes('UNREAD'),
-    starred: detail.labelIds?.includes('STARRED')
-  });
-}
-
   await storeMailIds(userId, mails, env);
 
-  let text = `${formatQueryForDisplay(query)}\n━━━━━━━━━━━━━━━━━━━━\n\n`;
+  // 多选模式：数字按钮切换勾选，底部显示批量操作栏
+  const selection = await getSelection(userId, env);
+  const selecting = selection?.query === query && selection.thread === threadMode;
+
+  let text = `${title}\n`;
+  if (selecting) {
+    text += `${selection.all ? t('select.headerAll') : t('select.header', { count: Object.keys(selection.items).length })}\n`;
+  }
+  text += '━━━━━━━━━━━━━━━━━━━━\n\n';
   mails.forEach((m, i) => {
     const icon = m.unread ? '🔵' : '⚪️';
     const star = m.starred ? '⭐' : '';
-    text += `${icon}${star} ${i + 1}. ${m.subject}\n    📤 ${m.from} · ${m.date}\n\n`;
+    const count = m.count > 1 ? ` (${m.count})` : '';
+    const accountTag = unified ? `\n    📮 ${m.account}` : '';
+    text += `${icon}${star} ${i + 1}. ${m.subject}${count}\n    📤 ${m.from} · ${m.date}${accountTag}\n\n`;
   });
 
   const buttons = [];
@@ -983,24 +2824,35 @@ for (const msg of listData.messages) {
   for (let i = 0; i < mails.length; i += 3) {
     const row = [];
     for (let j = i; j < Math.min(i + 3, mails.length); j++) {
+      if (selecting) {
+        const checked = selection.all || Boolean(selection.items[mails[j].id]);
+        row.push({ text: `${checked ? '✅' : '⬜'} ${j + 1}`, callback_data: `sl:${j}` });
+        continue;
+      }
       const icon = mails[j].unread ? '🔵' : '📧';
-      row.push({ text: `${icon} ${j + 1}`, callback_data: `m:${j}` });
+      row.push({ text: `${icon} ${j + 1}`, callback_data: `${threadMode ? 't' : 'm'}:${j}` });
     }
     buttons.push(row);
   }
 
+  if (undoRow) buttons.unshift(undoRow);
+
+  // 刷新保持在当前页
   const navRow = [];
-  navRow.push({ text: '🔄 刷新', callback_data: `ref:${query.substring(0, 50)}` });
-  
-  if (listData.nextPageToken) {
-    // ✅ 修复：使用同一个时间戳
-    const timestamp = Date.now();
-    const pageKey = `page:${userId}:${timestamp}`;
-    await env.USER_TOKENS.put(pageKey, JSON.stringify({ query, token: listData.nextPageToken }), { expirationTtl: 3600 });
-    navRow.push({ text: '➡️ 下一页', callback_data: `pg:${timestamp}` });
-  }
+  if (pageIndex > 0) navRow.push(prevButton);
+  navRow.push({ text: t('common.refresh'), callback_data: `pg:${pageIndex}` });
+  if (nextPageToken) navRow.push({ text: t('list.nextPage'), callback_data: `pg:${pageIndex + 1}` });
   buttons.push(navRow);
-  buttons.push([{ text: '✅ 全部已读', callback_data: 'readall' }]);
+  if (pageIndex > 1) buttons.push([{ text: t('list.firstPage'), callback_data: 'pg:0' }]);
+  if (selecting) {
+    buttons.push(...getBulkActionRows(selection, t));
+  } else {
+    buttons.push([
+      { text: t('list.readAll'), callback_data: 'readall' },
+      modeButton,
+      { text: t('select.start'), callback_data: 'sl:on' }
+    ]);
+  }
 
   const method = editMsgId ? 'editMessageText' : 'sendMessage';
   const params = {
@@ -1014,52 +2866,235 @@ for (const msg of listData.messages) {
   await sendTelegram(env.BOT_TOKEN, method, params);
 }
 
-// ==================== HTML 转义函数 ====================
-function escapeHtml(text) {
-  if (!text) return '';
-  return text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;');
+// 列表元数据并发请求数上限
+const METADATA_CONCURRENCY = 5;
+// 列表元数据缓存（秒），刷新、返回和翻页时不重复请求：会话按 historyId 缓存；邮件按 id 缓存（含未读/星标），
+// 本用户的写操作会清空缓存，在 Gmail 或其他客户端中的标签变化最多延迟一个缓存周期显示
+const METADATA_CACHE_TTL = 120;
+const METADATA_CACHE_MAX = 200;
+
+// 按顺序返回结果，同时最多 limit 个请求在进行
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
 }
 
-// ==================== 邮件详情（AI总结版） ====================
-async function sendMailDetail(chatId, userId, mailId, editMsgId, _unused, env) {
-  const account = await getActiveAccount(userId, env);
-  
-  if (!account) {
-    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
-      chat_id: chatId,
-      text: '⚠️ 登录已过期，请重新绑定账户',
-      reply_markup: getMainKeyboard()
-    });
-    return;
+// 缓存为 { entries: { 'email:type:id': { ...meta, at } } }，读取时丢弃过期条目
+async function loadMetadataCache(userId, env) {
+  const raw = await env.USER_TOKENS.get(`metacache:${userId}`);
+  const entries = raw ? JSON.parse(raw) : {};
+  const now = Date.now();
+  for (const [key, entry] of Object.entries(entries)) {
+    if (now - entry.at > METADATA_CACHE_TTL * 1000) delete entries[key];
   }
+  return { entries, dirty: false };
+}
 
-  const resp = await fetch(
-    `https://gmail.googleapis.com/gmail/v1/users/me/messages/${mailId}?format=full`,
-    { headers: { Authorization: `Bearer ${account.access_token}` } }
-  );
-  
-  if (!resp.ok) {
+async function clearMetadataCache(userId, env) {
+  await env.USER_TOKENS.delete(`metacache:${userId}`);
+}
+
+async function saveMetadataCache(userId, cache, env) {
+  if (!cache.dirty) return;
+  const entries = Object.entries(cache.entries)
+    .sort((a, b) => b[1].at - a[1].at)
+    .slice(0, METADATA_CACHE_MAX);
+  await env.USER_TOKENS.put(`metacache:${userId}`, JSON.stringify(Object.fromEntries(entries)), {
+    expirationTtl: METADATA_CACHE_TTL
+  });
+}
+
+// 从邮件/会话详情中提取列表需要的字段（会话取最新一封邮件的头部，未读/星标取整个会话）
+function parseMailMetadata(detailData, threadMode) {
+  const threadMessages = threadMode ? (detailData.messages || []) : [detailData];
+  const detail = threadMessages[threadMessages.length - 1] || {};
+  const headers = detail.payload?.headers || [];
+  const getHeader = (n) => headers.find(h => h.name.toLowerCase() === n.toLowerCase())?.value || '';
+
+  // ✅ 修复后的发件人提取
+  const fromHeader = getHeader('From');
+  let fromName = fromHeader;
+
+  // 提取邮箱地址（支持 + 号等特殊字符）
+  const emailMatch = fromHeader.match(/[\w.+-]+@[\w.-]+\.[a-z]+/i);
+
+  if (emailMatch) {
+    const email = emailMatch[0];
+
+    // 尝试提取显示名称（在 < 之前的部分）
+    const nameMatch = fromHeader.match(/^["']?([^"'<]+)["']?\s*</);
+
+    if (nameMatch) {
+      // 有显示名称，使用它
+      fromName = nameMatch[1].trim();
+    } else {
+      // 没有显示名称，使用邮箱地址
+      fromName = email;
+    }
+  }
+
+  return {
+    from: fromName.substring(0, 20),
+    subject: getHeader('Subject').substring(0, 30),
+    date: getHeader('Date'),
+    time: Number(detail.internalDate) || 0,
+    unread: threadMessages.some(m => m.labelIds?.includes('UNREAD')),
+    starred: threadMessages.some(m => m.labelIds?.includes('STARRED')),
+    count: threadMessages.length
+  };
+}
+
+// 查询单个账户的一页邮件（会话模式下为会话），skip 跳过该页中已经展示过的条目
+// options: { threadMode, pageSize, timeZone, t, cache }；元数据并发获取，cache 为 loadMetadataCache 的结果（可为空）
+async function fetchMailPage(account, query, pageToken, skip, options, env) {
+  const { threadMode, pageSize, timeZone, t, cache } = options;
+  const type = threadMode ? 'threads' : 'messages';
+  const params = new URLSearchParams({ maxResults: String(pageSize), q: query });
+  if (pageToken) params.set('pageToken', pageToken);
+
+  const listData = await gmailGet(account, `/${type}?${params}`, env);
+  const items = (threadMode ? listData.threads : listData.messages) || [];
+
+  // 会话的任何变化（新回复、标签）都会改变 threads.list 返回的 historyId，邮件按 id 缓存，命中时不再请求
+  const metas = await mapWithConcurrency(items.slice(skip), METADATA_CONCURRENCY, async (msg) => {
+    const cacheKey = threadMode ? `${account.email}:threads:${msg.id}:${msg.historyId}` : `${account.email}:messages:${msg.id}`;
+    const cached = cache?.entries[cacheKey];
+    if (cached) return cached;
+
+    const detailData = await gmailGetIfExists(account, `/${type}/${msg.id}?format=metadata&metadataHeaders=From&metadataHeaders=Subject&metadataHeaders=Date`, env);
+    // 列表和详情之间邮件被删除时跳过
+    if (!detailData) return null;
+
+    const meta = parseMailMetadata(detailData, threadMode);
+    if (cache) {
+      cache.entries[cacheKey] = { ...meta, at: Date.now() };
+      cache.dirty = true;
+    }
+    return meta;
+  });
+
+  const mails = [];
+  items.slice(skip).forEach((msg, i) => {
+    const meta = metas[i];
+    if (!meta) return;
+    mails.push({
+      id: msg.id,
+      account: account.email,
+      time: meta.time,
+      from: meta.from,
+      subject: meta.subject || t('mail.noSubject'),
+      date: formatDate(meta.date, 'short', timeZone),
+      unread: meta.unread,
+      starred: meta.starred,
+      count: meta.count
+    });
+  });
+
+  return { mails, nextPageToken: listData.nextPageToken || null };
+}
+
+// 全部账户：各账户并行查询，按时间合并后取前 pageSize 封
+// cursors 记录每个账户的 { token, skip }，没有游标的账户已经查完
+async function fetchUnifiedMailPage(accounts, query, cursors, options, env) {
+  const { pageSize } = options;
+  const pending = cursors ? accounts.filter(a => cursors[a.email]) : accounts;
+
+  // 每个账户至少取 pageSize 封候选（当前页不足时继续翻页），合并结果才不会跳过邮件
+  const collect = async (account) => {
+    let { token, skip } = cursors?.[account.email] || { token: null, skip: 0 };
+    const chunks = [];
+    let count = 0;
+    while (true) {
+      const page = await fetchMailPage(account, query, token, skip, options, env);
+      chunks.push({ token, skip, ...page });
+      count += page.mails.length;
+      if (count >= pageSize || !page.nextPageToken) break;
+      token = page.nextPageToken;
+      skip = 0;
+    }
+    return chunks;
+  };
+  const collected = await Promise.all(pending.map(collect));
+
+  const mails = collected.flat().flatMap(c => c.mails).sort((a, b) => b.time - a.time).slice(0, pageSize);
+
+  // 下次从每个账户第一封未展示的邮件继续
+  const nextCursors = {};
+  pending.forEach((account, i) => {
+    let shown = mails.filter(m => m.account === account.email).length;
+    for (const chunk of collected[i]) {
+      if (shown < chunk.mails.length) {
+        nextCursors[account.email] = { token: chunk.token, skip: chunk.skip + shown };
+        return;
+      }
+      shown -= chunk.mails.length;
+    }
+    const last = collected[i][collected[i].length - 1];
+    if (last.nextPageToken) nextCursors[account.email] = { token: last.nextPageToken, skip: 0 };
+  });
+
+  return { mails, nextPageToken: Object.keys(nextCursors).length ? nextCursors : null };
+}
+
+// 重新显示当前所在的列表页（从详情返回、归档/删除后等）
+async function refreshCurrentList(chatId, userId, editMsgId, env) {
+  const query = await env.USER_TOKENS.get(`lastquery:${userId}`) || 'in:inbox';
+  const pageIndex = parseInt(await env.USER_TOKENS.get(`lastpage:${userId}`) || '0') || 0;
+  await sendMailList(chatId, userId, query, pageIndex, editMsgId, env);
+}
+
+// ==================== HTML 转义函数 ====================
+function escapeHtml(text) {
+  if (!text) return '';
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ==================== 邮件详情（AI总结版） ====================
+// email 指定邮件所属账户（来自摘要、免打扰汇总等），未指定时按记录的所属账户或当前账户打开
+async function sendMailDetail(chatId, userId, mailId, editMsgId, email, env) {
+  if (email) await rememberMailAccount(userId, mailId, email, env);
+  const account = await getMailAccount(userId, mailId, env);
+  const t = await getTranslator(userId, env);
+  
+  if (!account) {
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: await getMailAccountErrorText(userId, mailId, t, env),
+      reply_markup: getMainKeyboard(t.lang)
+    });
+    return;
+  }
+
+  const mail = await gmailGetIfExists(account, `/messages/${mailId}?format=full`, env);
+  
+  if (!mail) {
     const method = editMsgId ? 'editMessageText' : 'sendMessage';
     await sendTelegram(env.BOT_TOKEN, method, {
       chat_id: chatId,
       message_id: editMsgId,
-      text: '❌ 获取邮件失败',
-      reply_markup: { inline_keyboard: [[{ text: '⬅️ 返回', callback_data: 'back' }]] }
+      text: t('detail.fetchFailed'),
+      reply_markup: { inline_keyboard: [[{ text: t('common.back'), callback_data: 'back' }]] }
     });
     return;
   }
-
-  const mail = await resp.json();
   const headers = mail.payload?.headers || [];
   const getHeader = (n) => headers.find(h => h.name.toLowerCase() === n.toLowerCase())?.value || '';
 
   const fromHeader = getHeader('From');
-  const subject = getHeader('Subject') || '(无主题)';
-  const date = formatDate(getHeader('Date'));
+  const subject = getHeader('Subject') || t('mail.noSubject');
+  const date = formatDate(getHeader('Date'), 'short', await getUserTimezone(userId, env));
   const unread = mail.labelIds?.includes('UNREAD');
   const starred = mail.labelIds?.includes('STARRED');
 
@@ -1074,36 +3109,52 @@ async function sendMailDetail(chatId, userId, mailId, editMsgId, _unused, env) {
   }
 
   const attachments = getAttachments(mail.payload);
+  const verification = extractVerificationInfo(mail);
+  const verificationText = verification ? `${formatVerificationText(verification, t)}━━━━━━━━━━━━━━━━━━━━\n` : '';
 
-  await env.USER_TOKENS.put(`current:${userId}`, mailId, { expirationTtl: 3600 });
+  await rememberMailAccount(userId, mailId, account.email, env);
+
+  // 绑定多个账户时标明邮件所属账户
+  const accountLine = (await getAccountList(userId, env)).length > 1 ? `📮 ${escapeHtml(account.email)}\n` : '';
 
   // 提前构建按钮（loading 和最终消息共用同一套按钮，避免 loading 时按钮消失）
   const viewLink = await generateViewLink(userId, mailId, account.email, env);
   const buttons = [];
+  if (verification) buttons.push(getVerificationButtons(verification, t));
+  buttons.push([
+    { text: unread ? t('detail.markRead') : t('detail.markUnread'), callback_data: `do:${unread ? 'read' : 'unread'}:${mailId}` },
+    { text: starred ? t('detail.unstar') : t('detail.star'), callback_data: `do:${starred ? 'unstar' : 'star'}:${mailId}` },
+    { text: '📥', callback_data: `do:archive:${mailId}` },
+    { text: '⏰', callback_data: `sz:${mailId}` },
+    { text: '🗑️', callback_data: `do:delete:${mailId}` }
+  ]);
+  buttons.push([
+    { text: t('detail.reply'), callback_data: `rp:${mailId}` },
+    { text: t('detail.replyAll'), callback_data: `rpa:${mailId}` },
+    { text: t('detail.forward'), callback_data: `fw:${mailId}` }
+  ]);
   buttons.push([
-    { text: unread ? '✅ 已读' : '📩 未读', callback_data: unread ? 'do:read' : 'do:unread' },
-    { text: starred ? '⭐ 取消' : '⭐ 星标', callback_data: starred ? 'do:unstar' : 'do:star' },
-    { text: '🗑️', callback_data: 'do:delete' }
+    { text: t('detail.viewOriginal'), url: viewLink },
+    { text: t('detail.resummarize'), callback_data: `resum:${mailId}` }
   ]);
   buttons.push([
-    { text: '🌐 浏览器查看原文', url: viewLink },
-    { text: '🔄 重新总结', callback_data: `resum:${mailId}` }
+    { text: t('detail.labels'), callback_data: `lbp:${mailId}` },
+    { text: t('detail.searchFrom', { name: fromName.substring(0, 10) }), callback_data: `sf:${fromEmail}` }
   ]);
-  buttons.push([{ text: `🔍 搜索 ${fromName.substring(0, 10)} 的邮件`, callback_data: `sf:${fromEmail}` }]);
   if (attachments.length > 0) {
     const attRow = [];
     attachments.slice(0, 3).forEach((att, i) => {
-      attRow.push({ text: `📎 ${att.name.substring(0, 10)}`, callback_data: `att:${i}` });
+      attRow.push({ text: `📎 ${att.name.substring(0, 10)}`, callback_data: `att:${mailId}:${i}` });
     });
     buttons.push(attRow);
   }
-  buttons.push([{ text: '⬅️ 返回列表', callback_data: 'back' }]);
+  buttons.push([{ text: t('common.backToList'), callback_data: 'back' }]);
 
   // 发送"总结中"占位消息，带完整按钮，确保 loading 时按钮不消失
   const loadingMethod = editMsgId ? 'editMessageText' : 'sendMessage';
   const loadingParams = {
     chat_id: chatId,
-    text: `${unread ? '🔵 未读' : '⚪️ 已读'}${starred ? ' ⭐' : ''}\n━━━━━━━━━━━━━━━━━━━━\n📋 <b>${escapeHtml(subject)}</b>\n\n👤 ${escapeHtml(fromName)}\n📧 ${escapeHtml(fromEmail)}\n🕐 ${escapeHtml(date)}\n━━━━━━━━━━━━━━━━━━━━\n\n⏳ AI 正在总结邮件内容...`,
+    text: `${unread ? t('detail.unread') : t('detail.read')}${starred ? ' ⭐' : ''}\n━━━━━━━━━━━━━━━━━━━━\n📋 <b>${escapeHtml(subject)}</b>\n\n👤 ${escapeHtml(fromName)}\n📧 ${escapeHtml(fromEmail)}\n🕐 ${escapeHtml(date)}\n${accountLine}━━━━━━━━━━━━━━━━━━━━\n${verificationText}\n${t('detail.summarizing')}`,
     parse_mode: 'HTML',
     reply_markup: { inline_keyboard: buttons }
   };
@@ -1112,22 +3163,25 @@ async function sendMailDetail(chatId, userId, mailId, editMsgId, _unused, env) {
 
   // 获取实际消息ID（用于后续编辑）
   const actualMsgId = editMsgId || loadingResp?.result?.message_id;
+  await rememberMailMessage(userId, actualMsgId, mailId, account.email, env);
 
   // 用 try/catch 兜住 AI + 最终编辑，确保消息不会永远卡在 ⏳
   try {
     // 调用 AI 总结（带 KV 缓存）
-    const aiSummary = await summarizeEmail(mailId, mail.payload, env);
+    const aiSummary = await summarizeEmail(userId, account.email, mailId, mail.payload, env, t.lang);
 
     // 构建最终消息文本
-    let text = `${unread ? '🔵 未读' : '⚪️ 已读'}${starred ? ' ⭐' : ''}\n`;
+    let text = `${unread ? t('detail.unread') : t('detail.read')}${starred ? ' ⭐' : ''}\n`;
     text += '━━━━━━━━━━━━━━━━━━━━\n';
     text += `📋 <b>${escapeHtml(subject)}</b>\n\n`;
     text += `👤 ${escapeHtml(fromName)}\n`;
     text += `📧 ${escapeHtml(fromEmail)}\n`;
     text += `🕐 ${escapeHtml(date)}\n`;
-    if (attachments.length) text += `📎 附件: ${attachments.length} 个\n`;
-    text += '━━━━━━━━━━━━━━━━━━━━\n\n';
-    text += `🤖 <b>AI摘要</b>\n${aiSummary}`;
+    text += accountLine;
+    if (attachments.length) text += `${t('detail.attachments', { count: attachments.length })}\n`;
+    text += '━━━━━━━━━━━━━━━━━━━━\n';
+    text += `${verificationText}\n`;
+    text += `${t('detail.aiSummary')}\n${aiSummary}`;
 
     await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
       chat_id: chatId,
@@ -1142,19 +3196,119 @@ async function sendMailDetail(chatId, userId, mailId, editMsgId, _unused, env) {
     await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
       chat_id: chatId,
       message_id: actualMsgId,
-      text: `📋 <b>${escapeHtml(subject)}</b>\n\n❌ AI总结失败，请点击下方按钮在浏览器查看原文\n\n<i>${err.message || '未知错误'}</i>`,
+      text: `📋 <b>${escapeHtml(subject)}</b>\n\n${verificationText}${t('detail.summaryFailed')}\n\n<i>${err.message || t('common.unknownError')}</i>`,
       parse_mode: 'HTML',
       reply_markup: {
         inline_keyboard: [
-          [{ text: '🌐 浏览器查看原文', url: viewLink }],
-          [{ text: '🔄 重新总结', callback_data: `resum:${mailId}` }],
-          [{ text: '⬅️ 返回列表', callback_data: 'back' }]
+          [{ text: t('detail.viewOriginal'), url: viewLink }],
+          [{ text: t('detail.resummarize'), callback_data: `resum:${mailId}` }],
+          [{ text: t('common.backToList'), callback_data: 'back' }]
         ]
       }
     });
   }
 }
 
+// ==================== 会话详情 ====================
+// index 为空时定位到第一封未读邮件，没有未读则定位到最新一封
+async function sendThreadDetail(chatId, userId, threadId, index, editMsgId, env) {
+  const account = await getMailAccount(userId, threadId, env);
+  const t = await getTranslator(userId, env);
+  
+  if (!account) {
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: await getMailAccountErrorText(userId, threadId, t, env),
+      reply_markup: getMainKeyboard(t.lang)
+    });
+    return;
+  }
+
+  const thread = await gmailGetIfExists(account, `/threads/${threadId}?format=full`, env);
+  const messages = thread?.messages || [];
+
+  if (!messages.length) {
+    const method = editMsgId ? 'editMessageText' : 'sendMessage';
+    await sendTelegram(env.BOT_TOKEN, method, {
+      chat_id: chatId,
+      message_id: editMsgId,
+      text: t('thread.fetchFailed'),
+      reply_markup: { inline_keyboard: [[{ text: t('common.back'), callback_data: 'back' }]] }
+    });
+    return;
+  }
+
+  if (index === null) {
+    const firstUnread = messages.findIndex(m => m.labelIds?.includes('UNREAD'));
+    index = firstUnread >= 0 ? firstUnread : messages.length - 1;
+  }
+  index = Math.min(Math.max(index, 0), messages.length - 1);
+
+  const mail = messages[index];
+  const headers = mail.payload?.headers || [];
+  const getHeader = (n) => headers.find(h => h.name.toLowerCase() === n.toLowerCase())?.value || '';
+
+  const fromHeader = getHeader('From');
+  const subject = getHeader('Subject') || t('mail.noSubject');
+  const date = formatDate(getHeader('Date'), 'short', await getUserTimezone(userId, env));
+  const unread = mail.labelIds?.includes('UNREAD');
+
+  let fromName = fromHeader;
+  let fromEmail = fromHeader;
+  const emailMatch = fromHeader.match(/[\w.+-]+@[\w.-]+\.[a-z]+/i);
+  if (emailMatch) {
+    fromEmail = emailMatch[0];
+    const nameMatch = fromHeader.match(/^["']?([^"'<]+)["']?\s*</);
+    fromName = nameMatch ? nameMatch[1].trim() : fromEmail;
+  }
+
+  // 会话中打开、回复单封邮件时同样作用于会话所属账户
+  await rememberMailAccount(userId, mail.id, account.email, env);
+
+  const viewLink = await generateThreadViewLink(userId, threadId, account.email, env);
+  const buttons = [];
+  const navRow = [];
+  if (index > 0) navRow.push({ text: t('thread.prev'), callback_data: `th:${threadId}:${index - 1}` });
+  if (index < messages.length - 1) navRow.push({ text: t('thread.next'), callback_data: `th:${threadId}:${index + 1}` });
+  if (navRow.length) buttons.push(navRow);
+  buttons.push([
+    { text: t('thread.open'), callback_data: `om:${mail.id}` },
+    { text: t('detail.reply'), callback_data: `rp:${mail.id}` }
+  ]);
+  buttons.push([{ text: t('thread.viewInBrowser'), url: viewLink }]);
+  buttons.push([{ text: t('common.backToList'), callback_data: 'back' }]);
+
+  let header = `${t('thread.title', { index: index + 1, total: messages.length })}${unread ? ' 🔵' : ''}\n`;
+  header += '━━━━━━━━━━━━━━━━━━━━\n';
+  header += `📋 <b>${escapeHtml(subject)}</b>\n\n`;
+  header += `👤 ${escapeHtml(fromName)}\n`;
+  header += `📧 ${escapeHtml(fromEmail)}\n`;
+  header += `🕐 ${escapeHtml(date)}\n`;
+  header += '━━━━━━━━━━━━━━━━━━━━\n\n';
+
+  const loadingMethod = editMsgId ? 'editMessageText' : 'sendMessage';
+  const loadingParams = {
+    chat_id: chatId,
+    text: `${header}${t('detail.summarizing')}`,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  };
+  if (editMsgId) loadingParams.message_id = editMsgId;
+  const loadingResp = await sendTelegram(env.BOT_TOKEN, loadingMethod, loadingParams);
+
+  const actualMsgId = editMsgId || loadingResp?.result?.message_id;
+  await rememberMailMessage(userId, actualMsgId, mail.id, account.email, env);
+
+  const aiSummary = await summarizeEmail(userId, account.email, mail.id, mail.payload, env, t.lang);
+  await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+    chat_id: chatId,
+    message_id: actualMsgId,
+    text: `${header}${t('detail.aiSummary')}\n${aiSummary}`,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  });
+}
+
 // ==================== (旧extractContent已由AI总结替代) ====================
 function _extractContent_removed(payload, maxLen, isFullMode) {
   let bodyData = findBody(payload, 'text/html') || findBody(payload, 'text/plain');
@@ -1448,7 +3602,8 @@ function getAttachments(payload) {
       atts.push({
         name: part.filename,
         id: part.body.attachmentId,
-        size: part.body.size || 0
+        size: part.body.size || 0,
+        mimeType: part.mimeType
       });
     }
     if (part.parts) part.parts.forEach(scan);
@@ -1459,19 +3614,16 @@ function getAttachments(payload) {
 
 // ==================== 统计 ====================
 // 获取精确的邮件数量（通过分页计数）
-async function getAccurateCount(token, query, maxCount = 500) {
+async function getAccurateCount(account, query, env, maxCount = 500) {
   let total = 0;
   let pageToken = null;
   const maxResults = 100; // 每页100条
   
   while (total < maxCount) {
-    const url = new URL('https://gmail.googleapis.com/gmail/v1/users/me/messages');
-    url.searchParams.set('q', query);
-    url.searchParams.set('maxResults', maxResults);
-    if (pageToken) url.searchParams.set('pageToken', pageToken);
+    const params = new URLSearchParams({ q: query, maxResults: String(maxResults) });
+    if (pageToken) params.set('pageToken', pageToken);
     
-    const resp = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
-    const data = await resp.json();
+    const data = await gmailGet(account, `/messages?${params}`, env);
     
     if (!data.messages || data.messages.length === 0) break;
     
@@ -1488,47 +3640,45 @@ async function getAccurateCount(token, query, maxCount = 500) {
 
 async function sendStats(chatId, userId, editMsgId, env) {
   const account = await getActiveAccount(userId, env);
+  const t = await getTranslator(userId, env);
   
   if (!account) {
     await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
       chat_id: chatId,
-      text: '⚠️ 请先绑定账户',
-      reply_markup: getMainKeyboard()
+      text: t('account.requiredShort'),
+      reply_markup: getMainKeyboard(t.lang)
     });
     return;
   }
 
-  const token = account.access_token;
-  
-  // ✅ 使用新函数
-  const todayStr = getTodayDateString();
+  // 今日按用户时区零点计算
+  const todayTs = getTodayTimestamp(await getUserTimezone(userId, env));
 
   // 先获取 profile（总数是准确的）
-  const profileResp = await fetch('https://gmail.googleapis.com/gmail/v1/users/me/profile', { 
-    headers: { Authorization: `Bearer ${token}` } 
-  });
-  const profile = await profileResp.json();
+  const profile = await gmailGet(account, '/profile', env);
   
   // ✅ 使用精确计数而不是估计值
   const [unreadCount, todayCount, starredCount] = await Promise.all([
-    getAccurateCount(token, 'is:unread', 500),
-    getAccurateCount(token, `after:${todayStr}`, 500),
-    getAccurateCount(token, 'is:starred', 500)
+    getAccurateCount(account, 'is:unread', env, 500),
+    getAccurateCount(account, `after:${todayTs}`, env, 500),
+    getAccurateCount(account, 'is:starred', env, 500)
   ]);
 
-  let text = '📊 *邮箱统计*\n━━━━━━━━━━━━━━━━━━━━\n\n';
+  let text = `${t('stats.title')}\n━━━━━━━━━━━━━━━━━━━━\n\n`;
   text += `📧 ${profile.emailAddress}\n\n`;
-  text += `📬 未读: *${unreadCount}*\n`;
-  text += `📅 今日: *${todayCount}*\n`;
-  text += `⭐ 星标: *${starredCount}*\n`;
-  text += `📁 总数: *${profile.messagesTotal || 0}*\n`;
+  text += t('stats.body', {
+    unread: unreadCount,
+    today: todayCount,
+    starred: starredCount,
+    total: profile.messagesTotal || 0
+  });
 
   const buttons = [
     [
-      { text: '📬 查看未读', callback_data: 'list:is:unread' },
-      { text: '📅 查看今日', callback_data: `list:after:${todayStr}` }
+      { text: t('stats.viewUnread'), callback_data: 'list:is:unread' },
+      { text: t('stats.viewToday'), callback_data: `list:after:${todayTs}` }
     ],
-    [{ text: '🔄 刷新', callback_data: 'stats:refresh' }]
+    [{ text: t('common.refresh'), callback_data: 'stats:refresh' }]
   ];
 
   const method = editMsgId ? 'editMessageText' : 'sendMessage';
@@ -1547,17 +3697,20 @@ async function sendStats(chatId, userId, editMsgId, env) {
 async function sendAccountManager(chatId, userId, editMsgId, env) {
   const accounts = await getAccountList(userId, env);
   const active = await env.USER_TOKENS.get(`active:${userId}`);
+  const allMode = (await env.USER_TOKENS.get(`allmode:${userId}`)) === '1';
+  const t = await getTranslator(userId, env);
 
-  let text = '👤 *账户管理*\n━━━━━━━━━━━━━━━━━━━━\n\n';
+  let text = `${t('accounts.title')}\n━━━━━━━━━━━━━━━━━━━━\n\n`;
   
   if (accounts.length === 0) {
-    text += '📭 尚未绑定任何账户\n\n点击下方按钮添加';
+    text += t('accounts.none');
   } else {
-    text += `已绑定 *${accounts.length}* 个账户:\n\n`;
+    text += t('accounts.count', { count: accounts.length });
     accounts.forEach((email, i) => {
       const isActive = email === active;
-      text += `${isActive ? '✅' : '⚪️'} ${i + 1}. ${email}${isActive ? ' (当前)' : ''}\n`;
+      text += `${isActive ? '✅' : '⚪️'} ${i + 1}. ${email}${isActive ? t('accounts.current') : ''}\n`;
     });
+    if (allMode && accounts.length > 1) text += t('accounts.allModeOn');
   }
 
   const buttons = [];
@@ -1574,11 +3727,16 @@ async function sendAccountManager(chatId, userId, editMsgId, env) {
 
   await env.USER_TOKENS.put(`accmap:${userId}`, JSON.stringify(accounts), { expirationTtl: 3600 });
 
+  // 全部账户模式：邮件列表和搜索合并所有账户
+  if (accounts.length > 1) {
+    buttons.push([{ text: `${allMode ? '✅' : '🌐'} ${t('accounts.all')}`, callback_data: 'sw:all' }]);
+  }
+
   buttons.push([
-    { text: '➕ 添加账户', callback_data: 'add' },
-    { text: '🗑️ 删除账户', callback_data: 'delmenu' }
+    { text: t('accounts.add'), callback_data: 'add' },
+    { text: t('accounts.remove'), callback_data: 'delmenu' }
   ]);
-  buttons.push([{ text: '🔄 刷新', callback_data: 'acc:refresh' }]);
+  buttons.push([{ text: t('common.refresh'), callback_data: 'acc:refresh' }]);
 
   const method = editMsgId ? 'editMessageText' : 'sendMessage';
   const params = {
@@ -1592,8 +3750,118 @@ async function sendAccountManager(chatId, userId, editMsgId, env) {
   await sendTelegram(env.BOT_TOKEN, method, params);
 }
 
+// ==================== 删除账户与数据 ====================
+// 与具体邮件相关、可随时重建的用户级临时数据（key 为 前缀:${userId}），移除任一账户时一并清除
+const USER_MAIL_CACHE_KEYS = ['accmap', 'digestmap', 'labelmap', 'lastpage', 'lastquery', 'mailmap', 'metacache', 'pages', 'quietmap', 'readall', 'retry', 'select', 'state', 'undo'];
+
+// 用户的设置和状态（key 为 前缀:${userId}），/forgetme 时清除
+const USER_SETTING_KEYS = ['accounts', 'active', 'allmode', 'digest', 'lang', 'nonce', 'pagesize', 'quiet', 'quietq', 'tglang', 'threadmode', 'tz'];
+
+// 以 前缀:${userId}: 开头的数据
+const USER_PREFIXES = ['aisum', 'announced', 'mailacct', 'msgmail', 'newmail', 'notified', 'notifyfail', 'push', 'quietq', 'rules', 'token', 'undo'];
+
+// 删除 prefix 下 filter(key) 为真的 key（filter 可读取 key.metadata）
+async function deleteKeysByPrefix(prefix, env, filter = () => true) {
+  let cursor;
+  do {
+    const list = await env.USER_TOKENS.list({ prefix, cursor });
+    for (const key of list.keys) {
+      if (await filter(key)) await env.USER_TOKENS.delete(key.name);
+    }
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+}
+
+// 撤销 Google 授权（refresh token 撤销后整个授权失效）
+async function revokeGoogleToken(userId, email, env) {
+  const token = await loadToken(userId, email, env).catch(() => null);
+  const value = token?.refresh_token || token?.access_token;
+  if (!value) return;
+
+  try {
+    await fetch('https://oauth2.googleapis.com/revoke', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ token: value })
+    });
+  } catch (e) {
+    console.error('Revoke token error:', e);
+  }
+}
+
+// 通过用户索引（viewidx、snoozeidx）删除预览链接和稍后提醒，email 为空时删除全部账户的
+// 没有索引的旧提醒由定时任务在账户移除后清理
+async function deleteIndexedKeys(userId, email, env) {
+  for (const prefix of ['viewidx', 'snoozeidx']) {
+    await deleteKeysByPrefix(`${prefix}:${userId}:`, env, async key => {
+      if (email && key.metadata?.email !== email) return false;
+      const target = await env.USER_TOKENS.get(key.name);
+      if (target) await env.USER_TOKENS.delete(target);
+      return true;
+    });
+  }
+}
+
+// 删除单个账户的全部数据
+async function purgeAccountData(userId, email, env) {
+  await removePushSubscriber(email, userId, env);
+  for (const prefix of ['token', 'push', 'rules', 'notified']) {
+    await env.USER_TOKENS.delete(`${prefix}:${userId}:${email}`);
+  }
+  await deleteKeysByPrefix(`aisum:${userId}:${email}:`, env);
+  await deleteKeysByPrefix(`announced:${userId}:${email}:`, env);
+  await deleteKeysByPrefix(`notifyfail:${userId}:${email}:`, env);
+  for (const prefix of ['mailacct', 'msgmail', 'newmail']) {
+    await deleteKeysByPrefix(`${prefix}:${userId}:`, env, key => key.metadata?.email === email);
+  }
+  await deleteIndexedKeys(userId, email, env);
+
+  await deleteKeysByPrefix(`quietq:${userId}:${email}:`, env);
+  const queueRaw = await env.USER_TOKENS.get(`quietq:${userId}`);
+  if (queueRaw) {
+    const queue = JSON.parse(queueRaw).filter(item => item.email !== email);
+    await env.USER_TOKENS.put(`quietq:${userId}`, JSON.stringify(queue));
+  }
+
+  for (const prefix of USER_MAIL_CACHE_KEYS) {
+    await env.USER_TOKENS.delete(`${prefix}:${userId}`);
+  }
+}
+
+// 删除用户的全部数据：撤销所有账户的授权，清除设置、缓存和临时数据
+async function forgetUser(userId, env) {
+  for (const email of await getAccountList(userId, env)) {
+    await revokeGoogleToken(userId, email, env);
+    await removePushSubscriber(email, userId, env);
+  }
+
+  for (const prefix of [...USER_MAIL_CACHE_KEYS, ...USER_SETTING_KEYS]) {
+    await env.USER_TOKENS.delete(`${prefix}:${userId}`);
+  }
+  await deleteIndexedKeys(userId, null, env);
+  for (const prefix of USER_PREFIXES) {
+    await deleteKeysByPrefix(`${prefix}:${userId}:`, env);
+  }
+}
+
+async function sendForgetConfirm(chatId, userId, env) {
+  const t = await getTranslator(userId, env);
+  await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+    chat_id: chatId,
+    text: t('forget.confirm'),
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [[
+        { text: t('forget.yes'), callback_data: 'forget:yes' },
+        { text: t('common.cancel'), callback_data: 'cancel' }
+      ]]
+    }
+  });
+}
+
 // ==================== 添加账户 ====================
 async function sendLoginLink(chatId, userId, env) {
+  const t = await getTranslator(userId, env);
   const origin = await env.USER_TOKENS.get('origin');
   const nonce = crypto.randomUUID();
   await env.USER_TOKENS.put(`nonce:${userId}`, nonce, { expirationTtl: 600 });
@@ -1610,19 +3878,19 @@ async function sendLoginLink(chatId, userId, env) {
 
   await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
     chat_id: chatId,
-    text: '🔐 *添加 Gmail 账户*\n\n请点击下方按钮授权',
+    text: t('login.text'),
     parse_mode: 'Markdown',
     reply_markup: {
       inline_keyboard: [
-        [{ text: '🔐 授权 Gmail', url: authUrl.toString() }],
-        [{ text: '⬅️ 返回', callback_data: 'acc:refresh' }]
+        [{ text: t('login.authorize'), url: authUrl.toString() }],
+        [{ text: t('common.back'), callback_data: 'acc:refresh' }]
       ]
     }
   });
 }
 
 // ==================== 设置 ====================
-async function sendSettings(chatId, userId, env) {
+async function sendSettings(chatId, userId, editMsgId, env) {
   const active = await env.USER_TOKENS.get(`active:${userId}`);
   let pushEnabled = false;
   
@@ -1631,44 +3899,80 @@ async function sendSettings(chatId, userId, env) {
     pushEnabled = pushData ? JSON.parse(pushData).enabled : false;
   }
 
-  let text = '⚙️ *设置*\n━━━━━━━━━━━━━━━━━━━━\n\n';
-  text += `👤 账户: ${active || '未绑定'}\n`;
-  text += `🔔 推送: ${pushEnabled ? '已开启' : '已关闭'}\n`;
+  const digest = await getDigestConfig(userId, env);
+  const timeZone = await getUserTimezone(userId, env);
+  const t = await getTranslator(userId, env);
+  const langOverride = await env.USER_TOKENS.get(`lang:${userId}`);
+  const quiet = await getQuietConfig(userId, env);
+  const pageSize = await getPageSize(userId, env);
+  const accountList = await getAccountList(userId, env);
+  const unifiedPageSize = await isUnifiedMode(userId, accountList, env) ? getUnifiedPageSize(pageSize, accountList.length) : pageSize;
+
+  let text = `${t('settings.title')}\n━━━━━━━━━━━━━━━━━━━━\n\n`;
+  text += `${t('settings.account', { account: active || t('settings.noAccount') })}\n`;
+  text += `${t('settings.push', { status: pushEnabled ? t('common.on') : t('common.off') })}\n`;
+  text += `${t('settings.digest', { status: digest.enabled ? t('settings.digestDaily', { time: digest.time }) : t('common.off') })}\n`;
+  text += `${t('settings.quiet', { status: quiet.enabled ? `${quiet.start}–${quiet.end}` : t('common.off') })}\n`;
+  text += `${t('settings.timezone', { timeZone, offset: formatUtcOffset(timeZone) })}\n`;
+  text += `${t('settings.language', { language: LANG_NAMES[t.lang] + (langOverride ? '' : t('settings.languageAuto')) })}\n`;
+  text += `${t('settings.pageSize', { size: pageSize })}\n`;
+  if (unifiedPageSize < pageSize) text += `${t('settings.pageSizeUnified', { size: unifiedPageSize })}\n`;
 
   const buttons = [
-    [{ text: '👤 账户管理', callback_data: 'acc:refresh' }]
+    [{ text: t('kb.accounts'), callback_data: 'acc:refresh' }]
   ];
 
   if (env.PUBSUB_TOPIC && active) {
     buttons.push([{
-      text: pushEnabled ? '🔕 关闭推送' : '🔔 开启推送',
+      text: pushEnabled ? t('settings.pushOff') : t('settings.pushOn'),
       callback_data: pushEnabled ? 'push:off' : 'push:on'
     }]);
   }
 
-  buttons.push([{ text: '🔍 搜索帮助', callback_data: 'help' }]);
+  if (active) {
+    buttons.push([
+      { text: t('settings.digestButton'), callback_data: 'dg:menu' },
+      { text: t('settings.rulesButton'), callback_data: 'nr:menu' }
+    ]);
+  }
+
+  buttons.push([{ text: t('settings.quietButton'), callback_data: 'qh:menu' }]);
+  buttons.push([
+    { text: t('settings.timezoneButton'), callback_data: 'tz:menu' },
+    { text: t('settings.languageButton'), callback_data: 'lang:menu' }
+  ]);
+  buttons.push(PAGE_SIZES.map(size => ({
+    text: `${size === pageSize ? '✅ ' : ''}${t('settings.pageSizeOption', { size })}`,
+    callback_data: `psz:${size}`
+  })));
+  buttons.push([{ text: t('settings.searchHelp'), callback_data: 'help' }]);
 
-  await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+  const method = editMsgId ? 'editMessageText' : 'sendMessage';
+  const params = {
     chat_id: chatId,
     text,
     parse_mode: 'Markdown',
     reply_markup: { inline_keyboard: buttons }
-  });
+  };
+  if (editMsgId) params.message_id = editMsgId;
+
+  await sendTelegram(env.BOT_TOKEN, method, params);
 }
 
 // ==================== 搜索帮助 ====================
-async function sendSearchHelp(chatId, env) {
-  const text = '🔍 *搜索邮件*\n\n发送: 搜索 关键词\n\n*示例:*\n• 搜索 会议\n• 搜索 from:test@qq.com\n• 搜索 subject:周报\n• 搜索 has:attachment';
+async function sendSearchHelp(chatId, userId, env) {
+  const t = await getTranslator(userId, env);
+  const text = t('search.help');
 
   const buttons = [
     [
-      { text: '📬 未读', callback_data: 'list:is:unread' },
-      { text: '⭐ 星标', callback_data: 'list:is:starred' },
-      { text: '📎 附件', callback_data: 'list:has:attachment' }
+      { text: t('search.unread'), callback_data: 'list:is:unread' },
+      { text: t('search.starred'), callback_data: 'list:is:starred' },
+      { text: t('search.attachment'), callback_data: 'list:has:attachment' }
     ],
     [
-      { text: '📅 本周', callback_data: 'list:newer_than:7d' },
-      { text: '📆 本月', callback_data: 'list:newer_than:30d' }
+      { text: t('search.week'), callback_data: 'list:newer_than:7d' },
+      { text: t('search.month'), callback_data: 'list:newer_than:30d' }
     ]
   ];
 
@@ -1681,513 +3985,2841 @@ async function sendSearchHelp(chatId, env) {
 }
 
 // ==================== 批量已读 ====================
+// batchModify 单次最多 1000 封（批量已读和多选批量操作共用）
+const BATCH_MODIFY_LIMIT = 1000;
+
+// 每个账户最多标记的邮件数，超出时提示再次执行
+const READ_ALL_MAX = 10000;
+
+// 范围跟随当前列表（lastquery），没有列表时为全部未读邮件
+function getReadAllQuery(lastQuery) {
+  return lastQuery ? `(${lastQuery}) is:unread` : 'is:unread';
+}
+
+// 先估算数量（resultSizeEstimate 只是估计值，确认文案中标为"约"），用户确认后再执行
 async function markAllRead(chatId, userId, env) {
-  const account = await getActiveAccount(userId, env);
+  const accounts = await getListAccounts(userId, env);
+  const t = await getTranslator(userId, env);
   
-  if (!account) {
+  if (!accounts.length) {
     await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
       chat_id: chatId,
-      text: '⚠️ 请先绑定账户',
-      reply_markup: getMainKeyboard()
+      text: t('account.requiredShort'),
+      reply_markup: getMainKeyboard(t.lang)
     });
     return;
   }
 
-  const listResp = await fetch(
-    'https://gmail.googleapis.com/gmail/v1/users/me/messages?q=is:unread&maxResults=100',
-    { headers: { Authorization: `Bearer ${account.access_token}` } }
-  );
-  const listData = await listResp.json();
+  const lastQuery = await env.USER_TOKENS.get(`lastquery:${userId}`);
+  const query = getReadAllQuery(lastQuery);
+
+  const estimates = await Promise.all(accounts.map(async (account) => {
+    const params = new URLSearchParams({ q: query, maxResults: '1' });
+    const data = await gmailGet(account, `/messages?${params}`, env);
+    return data.resultSizeEstimate || 0;
+  }));
+  const estimate = estimates.reduce((sum, n) => sum + n, 0);
 
-  if (!listData.messages?.length) {
+  if (!estimate) {
     await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
       chat_id: chatId,
-      text: '✅ 没有未读邮件',
-      reply_markup: getMainKeyboard()
+      text: t('readall.none'),
+      reply_markup: getMainKeyboard(t.lang)
     });
     return;
   }
 
-  await fetch('https://gmail.googleapis.com/gmail/v1/users/me/messages/batchModify', {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${account.access_token}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      ids: listData.messages.map(m => m.id),
-      removeLabelIds: ['UNREAD']
-    })
-  });
+  // 记录确认时的查询，避免确认前切换列表导致范围变化
+  await env.USER_TOKENS.put(`readall:${userId}`, query, { expirationTtl: 600 });
 
+  const timeZone = await getUserTimezone(userId, env);
   await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
     chat_id: chatId,
-    text: `✅ 已将 *${listData.messages.length}* 封邮件标记为已读`,
-    parse_mode: 'Markdown',
-    reply_markup: getMainKeyboard()
+    text: t('readall.confirm', {
+      scope: lastQuery ? formatQueryForDisplay(lastQuery, timeZone, t.lang) : t('readall.allMail'),
+      count: estimate
+    }),
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [[
+        { text: t('readall.start'), callback_data: 'ra:go' },
+        { text: t('common.cancel'), callback_data: 'cancel' }
+      ]]
+    }
   });
 }
 
-// ==================== 回调处理 ====================
-async function handleCallback(query, env) {
-  const chatId = query.message.chat.id;
-  const userId = String(query.from.id);
-  const msgId = query.message.message_id;
-  const data = query.data;
-
-  await sendTelegram(env.BOT_TOKEN, 'answerCallbackQuery', {
-    callback_query_id: query.id
+// 翻页取出全部匹配的未读邮件，分批调用 batchModify，并在确认消息上更新进度
+async function runMarkAllRead(chatId, userId, msgId, env) {
+  const t = await getTranslator(userId, env);
+  const progress = (text, extra = {}) => sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+    chat_id: chatId,
+    message_id: msgId,
+    text,
+    ...extra
   });
 
-  if (data === 'stats:refresh') {
-    await sendStats(chatId, userId, msgId, env);
-    return;
-  }
-
-  if (data === 'acc:refresh') {
-    await sendAccountManager(chatId, userId, msgId, env);
+  const query = await env.USER_TOKENS.get(`readall:${userId}`);
+  if (!query) {
+    await progress(t('readall.expired'));
     return;
   }
 
-  if (data === 'add') {
-    await sendLoginLink(chatId, userId, env);
-    return;
+  await progress(t('readall.scanning'));
+  const groups = [];
+  let capped = false;
+  for (const account of await getListAccounts(userId, env)) {
+    const ids = await listAllMessageIds(account, query, READ_ALL_MAX, env);
+    if (ids.length >= READ_ALL_MAX) capped = true;
+    if (ids.length) groups.push({ account, ids });
   }
 
-  if (data.startsWith('sw:')) {
-    const index = parseInt(data.substring(3));
-    const accRaw = await env.USER_TOKENS.get(`accmap:${userId}`);
-    if (accRaw) {
-      const accounts = JSON.parse(accRaw);
-      if (accounts[index]) {
-        await env.USER_TOKENS.put(`active:${userId}`, accounts[index]);
-      }
+  const total = groups.reduce((sum, g) => sum + g.ids.length, 0);
+  let done = 0;
+  for (const { account, ids } of groups) {
+    for (let i = 0; i < ids.length; i += BATCH_MODIFY_LIMIT) {
+      const chunk = ids.slice(i, i + BATCH_MODIFY_LIMIT);
+      await batchModifyMessages(account, chunk, { removeLabelIds: ['UNREAD'] }, env);
+      done += chunk.length;
+      if (done < total) await progress(t('readall.progress', { done, total }));
     }
-    await sendAccountManager(chatId, userId, msgId, env);
-    return;
   }
 
-  if (data === 'delmenu') {
-    const accounts = await getAccountList(userId, env);
-    const buttons = accounts.map((email, i) => ([{
-      text: `🗑️ ${email}`,
-      callback_data: `del:${i}`
-    }]));
-    buttons.push([{ text: '⬅️ 返回', callback_data: 'acc:refresh' }]);
+  // 完成后才清除，中途出错时可以通过重试按钮继续
+  await env.USER_TOKENS.delete(`readall:${userId}`);
+  await progress(`${t('readall.done', { count: done })}${capped ? t('readall.more') : ''}`, {
+    parse_mode: 'Markdown',
+    reply_markup: { inline_keyboard: [[{ text: t('common.backToList'), callback_data: 'back' }]] }
+  });
+}
 
-    await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
-      chat_id: chatId,
-      message_id: msgId,
-      text: '🗑️ 选择要删除的账户:',
-      reply_markup: { inline_keyboard: buttons }
-    });
-    return;
+// ==================== 多选批量操作 ====================
+// 全选所有匹配时每个账户单次最多处理的邮件数，超过时提示继续处理
+const SELECT_ALL_MAX = 5000;
+
+// 全选所有匹配时附加到查询上，排除已经处理过的邮件，继续处理时才能取到剩余的邮件
+const BULK_ACTION_FILTERS = {
+  read: 'is:unread',
+  unread: '-is:unread',
+  star: '-is:starred',
+  archive: 'in:inbox',
+  trash: '-in:trash'
+};
+
+const BULK_ACTIONS = {
+  read: { removeLabelIds: ['UNREAD'] },
+  unread: { addLabelIds: ['UNREAD'] },
+  star: { addLabelIds: ['STARRED'] },
+  archive: { removeLabelIds: ['INBOX'] },
+  trash: { addLabelIds: ['TRASH'] }
+};
+
+// 多选状态：query/thread 为所属列表，items 为已选邮件 id → 所属账户，all 表示选中查询匹配的全部邮件（跨页）
+async function getSelection(userId, env) {
+  const raw = await env.USER_TOKENS.get(`select:${userId}`);
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function saveSelection(userId, selection, env) {
+  await env.USER_TOKENS.put(`select:${userId}`, JSON.stringify(selection), { expirationTtl: 3600 });
+}
+
+function getBulkActionRows(selection, t) {
+  return [
+    [
+      { text: t('select.read'), callback_data: 'sa:read' },
+      { text: t('select.unread'), callback_data: 'sa:unread' },
+      { text: t('select.star'), callback_data: 'sa:star' }
+    ],
+    [
+      { text: t('select.archive'), callback_data: 'sa:archive' },
+      { text: t('select.trash'), callback_data: 'sa:trash' },
+      { text: t('select.label'), callback_data: 'sa:label' }
+    ],
+    [
+      { text: selection.all ? t('select.clearAll') : t('select.all'), callback_data: 'sl:all' },
+      { text: t('select.exit'), callback_data: 'sl:off' }
+    ]
+  ];
+}
+
+async function batchModifyMessages(account, ids, body, env) {
+  for (let i = 0; i < ids.length; i += BATCH_MODIFY_LIMIT) {
+    await gmailPost(account, '/messages/batchModify', { ids: ids.slice(i, i + BATCH_MODIFY_LIMIT), ...body }, env);
+  }
+}
+
+// 翻页列出查询匹配的全部邮件 id
+async function listAllMessageIds(account, query, limit, env) {
+  const ids = [];
+  let pageToken = null;
+
+  do {
+    const params = new URLSearchParams({ q: query, maxResults: '500' });
+    if (pageToken) params.set('pageToken', pageToken);
+
+    const data = await gmailGet(account, `/messages?${params}`, env);
+    ids.push(...(data.messages || []).map(m => m.id));
+    pageToken = data.nextPageToken;
+  } while (pageToken && ids.length < limit);
+
+  return ids.slice(0, limit);
+}
+
+// 会话模式下选中的是会话，展开为其中的全部邮件
+async function expandThreadIds(account, threadIds, env) {
+  const threads = await Promise.all(threadIds.map(id => gmailGetIfExists(account, `/threads/${id}?format=minimal`, env)));
+  return threads.flatMap(thread => (thread?.messages || []).map(m => m.id));
+}
+
+// 按账户分组得到要处理的邮件 id
+async function resolveSelection(userId, selection, env) {
+  const groups = [];
+
+  if (selection.all) {
+    const query = selection.filter ? `(${selection.query}) ${selection.filter}` : selection.query;
+    for (const account of await getListAccounts(userId, env)) {
+      const ids = await listAllMessageIds(account, query, SELECT_ALL_MAX, env);
+      groups.push({ account, ids, capped: ids.length >= SELECT_ALL_MAX });
+    }
+    return groups;
+  }
+
+  const byAccount = {};
+  for (const [id, email] of Object.entries(selection.items)) {
+    (byAccount[email] ||= []).push(id);
+  }
+  for (const [email, ids] of Object.entries(byAccount)) {
+    const account = await getUserAccount(userId, email, env);
+    if (!account) continue;
+    groups.push({ account, ids: selection.thread ? await expandThreadIds(account, ids, env) : ids });
+  }
+  return groups;
+}
+
+// 标签按名称匹配（全部账户模式下各账户的标签 id 不同），账户中没有同名标签时跳过
+async function findLabelId(account, name, env) {
+  const data = await gmailGet(account, '/labels', env);
+  return (data.labels || []).find(l => l.name === name)?.id || null;
+}
+
+// getBody(account) 返回该账户的 batchModify 参数，返回空则跳过该账户
+// filter 为全选时排除已处理邮件的查询条件；达到上限时保留选择，continueData 为继续处理按钮的回调
+async function runBulkAction(chatId, userId, selection, getBody, filter, continueData, editMsgId, env) {
+  const t = await getTranslator(userId, env);
+  await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+    chat_id: chatId,
+    message_id: editMsgId,
+    text: t('select.processing')
+  });
+
+  let count = 0;
+  let capped = false;
+  for (const { account, ids, capped: accountCapped } of await resolveSelection(userId, { ...selection, filter }, env)) {
+    const body = await getBody(account);
+    if (!body || !ids.length) continue;
+    await batchModifyMessages(account, ids, body, env);
+    count += ids.length;
+    if (accountCapped) capped = true;
+  }
+
+  const buttons = [[{ text: t('common.backToList'), callback_data: 'back' }]];
+  if (capped) {
+    buttons.unshift([{ text: t('select.continue'), callback_data: continueData }]);
+  } else {
+    await env.USER_TOKENS.delete(`select:${userId}`);
+  }
+  await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+    chat_id: chatId,
+    message_id: editMsgId,
+    text: `${t('select.done', { count })}${capped ? t('select.capped', { max: SELECT_ALL_MAX }) : ''}`,
+    reply_markup: { inline_keyboard: buttons }
+  });
+}
+
+// 批量添加标签：显示当前账户的标签
+async function sendBulkLabelPicker(chatId, userId, editMsgId, env) {
+  const account = await getActiveAccount(userId, env);
+  if (!account) return;
+  const t = await getTranslator(userId, env);
+
+  const labels = await getUserLabels(userId, account, env);
+  const buttons = [];
+  labels.forEach((l, i) => {
+    if (i % 2 === 0) buttons.push([]);
+    buttons[buttons.length - 1].push({ text: `🏷️ ${l.name.substring(0, 20)}`, callback_data: `sab:${i}` });
+  });
+  buttons.push([{ text: t('common.back'), callback_data: 'sl:view' }]);
+
+  await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+    chat_id: chatId,
+    message_id: editMsgId,
+    text: labels.length ? t('select.labelPrompt') : t('labels.none'),
+    reply_markup: { inline_keyboard: buttons }
+  });
+}
+
+// ==================== 回复邮件 ====================
+// 记录 Telegram 消息对应的邮件，用户直接回复该消息即可回复邮件（24小时有效）
+async function rememberMailMessage(userId, msgId, mailId, email, env) {
+  if (!msgId) return;
+  await env.USER_TOKENS.put(`msgmail:${userId}:${msgId}`, mailId, { expirationTtl: 86400, metadata: { email } });
+}
+
+async function startReply(chatId, userId, mailId, replyAll, env) {
+  const account = await getMailAccount(userId, mailId, env);
+  const t = await getTranslator(userId, env);
+
+  if (!account) {
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: t('account.requiredShort'),
+      reply_markup: getMainKeyboard(t.lang)
+    });
+    return;
+  }
+
+  const mail = await gmailGetIfExists(
+    account,
+    `/messages/${mailId}?format=metadata&metadataHeaders=From&metadataHeaders=To&metadataHeaders=Cc&metadataHeaders=Reply-To&metadataHeaders=Subject`,
+    env
+  );
+
+  if (!mail) {
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: t('detail.fetchFailed')
+    });
+    return;
+  }
+
+  const headers = mail.payload?.headers || [];
+  const getHeader = (n) => headers.find(h => h.name.toLowerCase() === n.toLowerCase())?.value || '';
+  const { to, cc } = getReplyRecipients(mail, replyAll, account.email);
+  const subject = getHeader('Subject');
+
+  await setUserState(userId, { type: 'reply', mailId, replyAll }, env);
+
+  let text = `↩️ <b>${replyAll ? t('reply.titleAll') : t('reply.title')}</b>\n━━━━━━━━━━━━━━━━━━━━\n\n`;
+  text += `${t('reply.to', { to: escapeHtml(to.map(a => a.email).join(', ')) })}\n`;
+  if (cc.length) text += `${t('reply.cc', { cc: escapeHtml(cc.map(a => a.email).join(', ')) })}\n`;
+  text += `📋 ${escapeHtml(/^re:/i.test(subject) ? subject : `Re: ${subject}`)}\n\n`;
+  text += t('reply.prompt');
+
+  await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+    chat_id: chatId,
+    text,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: [[{ text: t('common.cancel'), callback_data: 'cancel' }]] }
+  });
+}
+
+async function sendReply(chatId, userId, mailId, body, replyAll, env) {
+  const account = await getMailAccount(userId, mailId, env);
+  const t = await getTranslator(userId, env);
+
+  if (!account) {
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: t('account.requiredShort'),
+      reply_markup: getMainKeyboard(t.lang)
+    });
+    return;
+  }
+
+  const mail = await gmailGetIfExists(account, `/messages/${mailId}?format=full`, env);
+
+  if (!mail) {
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: t('detail.fetchFailed')
+    });
+    return;
+  }
+
+  const timeZone = await getUserTimezone(userId, env);
+  const reply = buildReplyMessage(mail, body, replyAll, account.email, timeZone, t.lang);
+  const result = await sendGmailMessage(account, reply.raw, mail.threadId, env);
+
+  if (!result.ok) {
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: getSendErrorText(result, t)
+    });
+    return;
+  }
+
+  await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+    chat_id: chatId,
+    text: `${t('reply.sent')}\n\n📤 ${escapeHtml(reply.to.map(a => a.email).join(', '))}\n📋 ${escapeHtml(reply.subject)}`,
+    parse_mode: 'HTML',
+    reply_markup: getMainKeyboard(t.lang)
+  });
+}
+
+// ==================== 转发邮件 ====================
+async function startForward(chatId, userId, mailId, env) {
+  const account = await getMailAccount(userId, mailId, env);
+  const t = await getTranslator(userId, env);
+
+  if (!account) {
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: t('account.requiredShort'),
+      reply_markup: getMainKeyboard(t.lang)
+    });
+    return;
+  }
+
+  await setUserState(userId, { type: 'forward', mailId, step: 'to' }, env);
+  await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+    chat_id: chatId,
+    text: t('forward.prompt'),
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: [[{ text: t('common.cancel'), callback_data: 'cancel' }]] }
+  });
+}
+
+async function handleForwardInput(chatId, userId, state, text, env) {
+  const t = await getTranslator(userId, env);
+
+  if (state.step === 'to') {
+    const to = parseAddressList(text.replace(/[;；，\s]+/g, ','));
+    if (!to.length) {
+      await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+        chat_id: chatId,
+        text: t('forward.invalidAddress'),
+        reply_markup: { inline_keyboard: [[{ text: t('common.cancel'), callback_data: 'cancel' }]] }
+      });
+      return;
+    }
+    await setUserState(userId, { ...state, to, step: 'note' }, env);
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: t('forward.notePrompt', { to: escapeHtml(to.map(a => a.email).join(', ')) }),
+      parse_mode: 'HTML',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: t('forward.skipNote'), callback_data: 'fwskip' }],
+          [{ text: t('common.cancel'), callback_data: 'cancel' }]
+        ]
+      }
+    });
+    return;
+  }
+
+  await clearUserState(userId, env);
+  await sendForward(chatId, userId, state.mailId, state.to, text, env);
+}
+
+async function sendForward(chatId, userId, mailId, to, note, env) {
+  const account = await getMailAccount(userId, mailId, env);
+  const t = await getTranslator(userId, env);
+
+  if (!account) {
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: t('account.requiredShort'),
+      reply_markup: getMainKeyboard(t.lang)
+    });
+    return;
+  }
+
+  const mail = await gmailGetIfExists(account, `/messages/${mailId}?format=full`, env);
+
+  if (!mail) {
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: t('detail.fetchFailed')
+    });
+    return;
+  }
+
+
+  // 下载原邮件附件，已不存在的附件跳过并在结果中列出
+  const attachments = [];
+  const skipped = [];
+  for (const att of getAttachments(mail.payload)) {
+    const attData = await gmailGetIfExists(account, `/messages/${mailId}/attachments/${att.id}`, env);
+    if (!attData) {
+      skipped.push(att.name);
+      continue;
+    }
+    attachments.push({ name: att.name, mimeType: att.mimeType, data: attData.data });
+  }
+
+  const forward = buildForwardMessage(mail, to, note, attachments);
+  const result = await sendGmailMessage(account, forward.raw, null, env);
+
+  if (!result.ok) {
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: getSendErrorText(result, t)
+    });
+    return;
+  }
+
+  let text = `${t('forward.sent')}\n\n📤 ${escapeHtml(to.map(a => a.email).join(', '))}\n📋 ${escapeHtml(forward.subject)}`;
+  if (attachments.length) text += `\n${t('detail.attachments', { count: attachments.length })}`;
+  if (skipped.length) text += `\n${t('forward.skippedAttachments', { names: escapeHtml(skipped.join(', ')) })}`;
+
+  await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+    chat_id: chatId,
+    text,
+    parse_mode: 'HTML',
+    reply_markup: getMainKeyboard(t.lang)
+  });
+}
+
+// ==================== 归档与撤销 ====================
+// 撤销窗口（秒）；每封邮件一条记录（undo:${userId}:${mailId}），undo:${userId} 指向最近一次操作，供列表的撤销按钮使用
+const UNDO_TTL = 300;
+
+// 不能通过 modify 接口重新添加的系统标签
+const UNRESTORABLE_LABELS = ['SENT', 'DRAFT', 'CHAT', 'TRASH', 'SPAM'];
+
+async function removeMailWithUndo(userId, account, mailId, action, env) {
+  const mail = await gmailGet(account, `/messages/${mailId}?format=minimal`, env);
+
+  if (action === 'archive') {
+    await gmailPost(account, `/messages/${mailId}/modify`, { removeLabelIds: ['INBOX'] }, env);
+  } else {
+    await gmailPost(account, `/messages/${mailId}/trash`, undefined, env);
+  }
+
+  await env.USER_TOKENS.put(`undo:${userId}:${mailId}`, JSON.stringify({
+    mailId,
+    email: account.email,
+    action,
+    labelIds: mail.labelIds || []
+  }), { expirationTtl: UNDO_TTL });
+  await env.USER_TOKENS.put(`undo:${userId}`, mailId, { expirationTtl: UNDO_TTL });
+}
+
+// 最近一次仍可撤销的归档/删除记录
+async function getLatestRemoval(userId, env) {
+  const mailId = await env.USER_TOKENS.get(`undo:${userId}`);
+  const raw = mailId ? await env.USER_TOKENS.get(`undo:${userId}:${mailId}`) : null;
+  return raw ? JSON.parse(raw) : null;
+}
+
+// 恢复操作前的标签（删除的先移出垃圾箱），返回撤销的记录；在邮件所属账户上撤销
+// mailId 为空时撤销最近一次操作
+async function undoRemoval(userId, mailId, env) {
+  if (!mailId) mailId = await env.USER_TOKENS.get(`undo:${userId}`);
+  const raw = mailId ? await env.USER_TOKENS.get(`undo:${userId}:${mailId}`) : null;
+  if (!raw) return null;
+
+  const record = JSON.parse(raw);
+  const account = record.email ? await getAccountByEmail(userId, record.email, env) : await getActiveAccount(userId, env);
+  if (!account) return null;
+
+  if (record.action === 'delete') {
+    await gmailPost(account, `/messages/${record.mailId}/untrash`, undefined, env);
+  }
+
+  const addLabelIds = record.labelIds.filter(id => !UNRESTORABLE_LABELS.includes(id));
+  if (addLabelIds.length) {
+    await gmailPost(account, `/messages/${record.mailId}/modify`, { addLabelIds }, env);
+  }
+
+  await env.USER_TOKENS.delete(`undo:${userId}:${mailId}`);
+  if (await env.USER_TOKENS.get(`undo:${userId}`) === mailId) await env.USER_TOKENS.delete(`undo:${userId}`);
+  return record;
+}
+
+// ==================== 时区设置 ====================
+async function sendTimezoneMenu(chatId, userId, msgId, env) {
+  const current = await getUserTimezone(userId, env);
+  const t = await getTranslator(userId, env);
+
+  let text = `${t('tz.title')}\n━━━━━━━━━━━━━━━━━━━━\n\n`;
+  text += t('tz.body', {
+    timeZone: escapeHtml(current),
+    offset: formatUtcOffset(current),
+    now: formatDate(new Date(), 'full', current)
+  });
+
+  const buttons = [];
+  for (let i = 0; i < COMMON_TIMEZONES.length; i += 2) {
+    buttons.push(COMMON_TIMEZONES.slice(i, i + 2).map((tz, j) => ({
+      text: `${tz === current ? '✅ ' : ''}${tz}`,
+      callback_data: `tz:set:${i + j}`
+    })));
+  }
+  buttons.push([{ text: t('tz.custom'), callback_data: 'tz:custom' }]);
+
+  const method = msgId ? 'editMessageText' : 'sendMessage';
+  const params = {
+    chat_id: chatId,
+    text,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  };
+  if (msgId) params.message_id = msgId;
+
+  await sendTelegram(env.BOT_TOKEN, method, params);
+}
+
+async function setUserTimezone(userId, timeZone, env) {
+  if (timeZone === DEFAULT_TIMEZONE) {
+    await env.USER_TOKENS.delete(`tz:${userId}`);
+  } else {
+    await env.USER_TOKENS.put(`tz:${userId}`, timeZone);
+  }
+}
+
+// ==================== 语言设置 ====================
+async function sendLanguageMenu(chatId, userId, msgId, env) {
+  const t = await getTranslator(userId, env);
+  const override = await env.USER_TOKENS.get(`lang:${userId}`);
+
+  const text = `${t('lang.title')}\n━━━━━━━━━━━━━━━━━━━━\n\n${t('lang.body', {
+    language: LANG_NAMES[t.lang] + (override ? '' : t('settings.languageAuto'))
+  })}`;
+
+  const buttons = SUPPORTED_LANGS.map(lang => ([{
+    text: `${override === lang ? '✅ ' : ''}${LANG_NAMES[lang]}`,
+    callback_data: `lang:set:${lang}`
+  }]));
+  buttons.push([{ text: `${override ? '' : '✅ '}${t('lang.auto')}`, callback_data: 'lang:auto' }]);
+
+  const method = msgId ? 'editMessageText' : 'sendMessage';
+  const params = {
+    chat_id: chatId,
+    text,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  };
+  if (msgId) params.message_id = msgId;
+
+  await sendTelegram(env.BOT_TOKEN, method, params);
+}
+
+// lang 为空时恢复跟随 Telegram 客户端语言
+async function setUserLang(userId, lang, env) {
+  if (lang) {
+    await env.USER_TOKENS.put(`lang:${userId}`, lang);
+  } else {
+    await env.USER_TOKENS.delete(`lang:${userId}`);
+  }
+}
+
+// ==================== 稍后提醒 ====================
+function getSnoozePresets(timeZone, lang = DEFAULT_LANG) {
+  const t = (key, params) => translate(lang, key, params);
+  const now = Date.now();
+  const weekday = toZonedTime(new Date(), timeZone).getUTCDay();
+  const presets = [{ key: '1h', label: t('snooze.in1h'), time: now + 60 * 60 * 1000 }];
+
+  const evening = zonedTimeAt(0, 18, 0, timeZone);
+  if (evening > now) presets.push({ key: 'eve', label: t('snooze.evening'), time: evening });
+
+  presets.push({ key: 'morn', label: t('snooze.morning'), time: zonedTimeAt(1, 8, 0, timeZone) });
+  presets.push({ key: 'mon', label: t('snooze.monday'), time: zonedTimeAt(((8 - weekday) % 7) || 7, 8, 0, timeZone) });
+  return presets;
+}
+
+// 解析自定义时间：30m / 2h / 3d、HH:mm、MM-DD HH:mm、YYYY-MM-DD HH:mm（用户时区）
+function parseSnoozeInput(text, timeZone) {
+  const input = text.trim().replace(/：/g, ':').replace(/\//g, '-');
+
+  const relMatch = input.match(/^(\d+)\s*(m|h|d)$/i);
+  if (relMatch) {
+    const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return Date.now() + parseInt(relMatch[1]) * units[relMatch[2].toLowerCase()];
+  }
+
+  const timeMatch = input.match(/^(\d{1,2}):(\d{2})$/);
+  if (timeMatch) {
+    const today = zonedTimeAt(0, parseInt(timeMatch[1]), parseInt(timeMatch[2]), timeZone);
+    return today > Date.now() ? today : zonedTimeAt(1, parseInt(timeMatch[1]), parseInt(timeMatch[2]), timeZone);
+  }
+
+  const dateMatch = input.match(/^(?:(\d{4})-)?(\d{1,2})-(\d{1,2})\s+(\d{1,2}):(\d{2})$/);
+  if (dateMatch) {
+    const year = dateMatch[1] ? parseInt(dateMatch[1]) : toZonedTime(new Date(), timeZone).getUTCFullYear();
+    const time = zonedTimeToUtc(year, parseInt(dateMatch[2]), parseInt(dateMatch[3]),
+      parseInt(dateMatch[4]), parseInt(dateMatch[5]), timeZone);
+    return isNaN(time) ? null : time;
+  }
+
+  return null;
+}
+
+async function sendSnoozeMenu(chatId, userId, mailId, msgId, env) {
+  const timeZone = await getUserTimezone(userId, env);
+  const t = await getTranslator(userId, env);
+  const buttons = getSnoozePresets(timeZone, t.lang).map(p => ([{
+    text: `⏰ ${p.label}`,
+    callback_data: `szt:${mailId}:${p.key}`
+  }]));
+  buttons.push([{ text: t('common.customTime'), callback_data: `szc:${mailId}` }]);
+  buttons.push([{ text: t('snooze.backToMail'), callback_data: `om:${mailId}` }]);
+
+  await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+    chat_id: chatId,
+    message_id: msgId,
+    text: `${t('snooze.title')}\n\n${t('snooze.menuText')}`,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  });
+}
+
+// 归档邮件并登记提醒时间；key 中的时间戳补齐位数，保证 KV 列表按时间排序
+// snoozeidx:${userId}:${mailId} 记录提醒 key，重复设置时替换旧提醒，删除账户时按用户查找
+async function snoozeMail(chatId, userId, mailId, until, editMsgId, env) {
+  const account = await getMailAccount(userId, mailId, env);
+  if (!account) return;
+  const t = await getTranslator(userId, env);
+
+  await gmailPost(account, `/messages/${mailId}/modify`, { removeLabelIds: ['INBOX'] }, env);
+
+  const indexKey = `snoozeidx:${userId}:${mailId}`;
+  const previous = await env.USER_TOKENS.get(indexKey);
+  if (previous) await env.USER_TOKENS.delete(previous);
+
+  const snoozeKey = `snooze:${String(until).padStart(13, '0')}:${userId}:${mailId}`;
+  await env.USER_TOKENS.put(snoozeKey, JSON.stringify({
+    userId,
+    email: account.email,
+    mailId
+  }));
+  await env.USER_TOKENS.put(indexKey, snoozeKey, { metadata: { email: account.email } });
+
+  const method = editMsgId ? 'editMessageText' : 'sendMessage';
+  const params = {
+    chat_id: chatId,
+    text: t('snooze.done', {
+      email: account.email,
+      time: formatDate(new Date(until), 'long', await getUserTimezone(userId, env), t.lang)
+    }),
+    reply_markup: { inline_keyboard: [[{ text: t('common.backToList'), callback_data: 'back' }]] }
+  };
+  if (editMsgId) params.message_id = editMsgId;
+  await sendTelegram(env.BOT_TOKEN, method, params);
+}
+
+// 删除提醒及指向它的用户索引
+async function deleteSnooze(snoozeKey, env) {
+  const [, , userId, mailId] = snoozeKey.split(':');
+  const indexKey = `snoozeidx:${userId}:${mailId}`;
+  if (await env.USER_TOKENS.get(indexKey) === snoozeKey) await env.USER_TOKENS.delete(indexKey);
+  await env.USER_TOKENS.delete(snoozeKey);
+}
+
+// 定时任务：将到期的邮件放回收件箱、标记未读并重新推送通知
+async function processDueSnoozes(env) {
+  const now = Date.now();
+  let cursor;
+
+  do {
+    const list = await env.USER_TOKENS.list({ prefix: 'snooze:', cursor });
+
+    for (const key of list.keys) {
+      const until = parseInt(key.name.split(':')[1]);
+      if (until > now) return;
+
+      try {
+        const { userId, email, mailId } = JSON.parse(await env.USER_TOKENS.get(key.name) || '{}');
+        const account = await getAccountByEmail(userId, email, env);
+
+        // 账户仍在列表中但暂时无法读取（如刷新 token 失败）时保留记录，只在账户已移除后删除
+        if (!account && (await getAccountList(userId, env)).includes(email)) continue;
+
+        if (account) {
+          await gmailPost(account, `/messages/${mailId}/modify`, { addLabelIds: ['INBOX', 'UNREAD'] }, env);
+
+          const mail = await gmailGetIfExists(account, `/messages/${mailId}?format=full`, env);
+          if (mail) {
+            await sendNewMailNotification(userId, email, mailId, mail, env, 'snooze.title');
+          }
+        }
+      } catch (e) {
+        console.error('Snooze error:', e);
+        // 临时错误保留记录，下次定时任务重试
+        if (isTransientGmailError(e)) continue;
+      }
+
+      await deleteSnooze(key.name, env);
+    }
+
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+}
+
+// ==================== 每日摘要 ====================
+const DIGEST_TIMES = ['07:00', '08:00', '09:00', '12:00', '18:00', '21:00'];
+const DIGEST_MAX_MAILS = 20;
+// 每份摘要最多为几封邮件获取正文并调用 AI 总结，其余只列标题
+const DIGEST_SUMMARY_MAX = 5;
+// 每次定时任务最多发送的摘要数，其余到期的摘要下次（5 分钟后）继续，避免耗尽整次任务的子请求额度
+const DIGEST_USERS_PER_RUN = 3;
+// 发送失败后的重试间隔（按失败次数递增），同一时段最多尝试的次数
+const DIGEST_RETRY_DELAY = 30 * 60 * 1000;
+const DIGEST_MAX_ATTEMPTS = 3;
+
+async function getDigestConfig(userId, env) {
+  const raw = await env.USER_TOKENS.get(`digest:${userId}`);
+  try {
+    return raw ? JSON.parse(raw) : { enabled: false, time: '08:00' };
+  } catch {
+    return { enabled: false, time: '08:00' };
+  }
+}
+
+async function sendDigestMenu(chatId, userId, msgId, env) {
+  const digest = await getDigestConfig(userId, env);
+  const t = await getTranslator(userId, env);
+
+  let text = `${t('digest.title')}\n━━━━━━━━━━━━━━━━━━━━\n\n`;
+  text += `${t('digest.description')}\n\n`;
+  const timeZone = await getUserTimezone(userId, env);
+  text += t('digest.current', {
+    status: digest.enabled
+      ? t('digest.currentDaily', { time: digest.time, zone: getTimeZoneLabel(timeZone, t.lang) })
+      : t('common.off')
+  });
+
+  const buttons = [];
+  for (let i = 0; i < DIGEST_TIMES.length; i += 3) {
+    buttons.push(DIGEST_TIMES.slice(i, i + 3).map(time => ({
+      text: `${digest.enabled && digest.time === time ? '✅' : '🕐'} ${time}`,
+      callback_data: `dg:set:${time}`
+    })));
+  }
+  buttons.push([
+    { text: t('common.customTime'), callback_data: 'dg:custom' },
+    { text: t('digest.sendNow'), callback_data: 'dg:now' }
+  ]);
+  if (digest.enabled) buttons.push([{ text: t('digest.turnOff'), callback_data: 'dg:off' }]);
+
+  await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+    chat_id: chatId,
+    message_id: msgId,
+    text,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  });
+}
+
+async function setDigestTime(userId, time, env) {
+  const digest = await getDigestConfig(userId, env);
+  digest.enabled = true;
+  digest.time = time;
+  // 记录开启时间，避免当天已过的时间点立即触发
+  digest.enabledAt = Date.now();
+  await env.USER_TOKENS.put(`digest:${userId}`, JSON.stringify(digest));
+}
+
+// 去掉 AI 摘要中的 HTML 标签并截断为一行
+function shortenSummary(summary, maxLen = 60) {
+  const text = summary.replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+  return text.length > maxLen ? `${text.substring(0, maxLen)}…` : text;
+}
+
+// 汇总 since 之后的未读邮件并发送，返回是否发送成功
+async function sendDigest(userId, since, env) {
+  const accounts = await getAccountList(userId, env);
+  const t = await getTranslator(userId, env);
+  const sinceSec = Math.floor(since / 1000);
+  const groups = [];
+  const mailMap = [];
+  let total = 0;
+  let summarized = 0;
+
+  for (const email of accounts) {
+    const account = await getAccountByEmail(userId, email, env);
+    if (!account) continue;
+
+    const params = new URLSearchParams({ q: `is:unread in:inbox after:${sinceSec}`, maxResults: '50' });
+    const listData = await gmailGet(account, `/messages?${params}`, env);
+    const messages = listData.messages || [];
+    if (!messages.length) continue;
+
+    total += messages.length;
+    const senders = new Map();
+
+    for (const msg of messages) {
+      if (mailMap.length >= DIGEST_MAX_MAILS) break;
+
+      const summarize = summarized < DIGEST_SUMMARY_MAX;
+      const format = summarize ? 'full' : 'metadata&metadataHeaders=From&metadataHeaders=Subject';
+      const mail = await gmailGetIfExists(account, `/messages/${msg.id}?format=${format}`, env);
+      if (!mail) continue;
+      const headers = mail.payload?.headers || [];
+      const getHeader = (n) => headers.find(h => h.name.toLowerCase() === n.toLowerCase())?.value || '';
+
+      const fromHeader = getHeader('From');
+      const sender = parseAddressList(fromHeader)[0];
+      const senderName = sender ? (sender.name || sender.email) : fromHeader;
+
+      let summary = '';
+      if (summarize) {
+        summary = await summarizeEmail(userId, email, msg.id, mail.payload, env, t.lang);
+        summarized++;
+      }
+
+      mailMap.push({ email, mailId: msg.id });
+      if (!senders.has(senderName)) senders.set(senderName, []);
+      senders.get(senderName).push({
+        index: mailMap.length,
+        subject: getHeader('Subject') || t('mail.noSubject'),
+        summary: shortenSummary(summary)
+      });
+    }
+
+    groups.push({ email, count: messages.length, senders });
+  }
+
+  let text = `${t('digest.title')}\n━━━━━━━━━━━━━━━━━━━━\n`;
+  text += `${t('digest.since', { time: formatDate(new Date(since), 'short', await getUserTimezone(userId, env)) })}\n\n`;
+
+  if (total === 0) {
+    text += t('digest.empty');
+  } else {
+    for (const group of groups) {
+      text += `📧 <b>${escapeHtml(group.email)}</b> (${group.count})\n`;
+      for (const [senderName, mails] of group.senders) {
+        text += `👤 <b>${escapeHtml(senderName.substring(0, 30))}</b>\n`;
+        for (const m of mails) {
+          text += `  ${m.index}. ${escapeHtml(m.subject.substring(0, 40))}\n`;
+          if (m.summary) text += `     <i>${escapeHtml(m.summary)}</i>\n`;
+        }
+      }
+      text += '\n';
+    }
+    if (total > mailMap.length) text += `${t('digest.more', { count: total - mailMap.length })}\n`;
+  }
+
+  // Telegram 单条消息上限 4096 字符
+  if (text.length > 4000) text = text.substring(0, text.lastIndexOf('\n', 3900)) + '\n…';
+
+  await env.USER_TOKENS.put(`digestmap:${userId}`, JSON.stringify(mailMap), { expirationTtl: 86400 });
+
+  const buttons = [];
+  for (let i = 0; i < mailMap.length; i += 5) {
+    const row = [];
+    for (let j = i; j < Math.min(i + 5, mailMap.length); j++) {
+      row.push({ text: `📧 ${j + 1}`, callback_data: `dgm:${j}` });
+    }
+    buttons.push(row);
+  }
+
+  const result = await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+    chat_id: userId,
+    text,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  });
+  return !!result?.ok;
+}
+
+// 定时任务：到达用户设定时间且今天尚未发送时发送摘要
+// 失败时在 digest.failure 中记录本时段的失败次数和下次重试时间 { slot, count, retryAt }，不在每次定时任务中重建
+async function processDigests(env) {
+  const now = Date.now();
+  let sent = 0;
+  let cursor;
+
+  do {
+    const list = await env.USER_TOKENS.list({ prefix: 'digest:', cursor });
+
+    for (const key of list.keys) {
+      if (sent >= DIGEST_USERS_PER_RUN) return;
+      const userId = key.name.substring('digest:'.length);
+      const digest = await getDigestConfig(userId, env);
+      if (!digest.enabled) continue;
+
+      const [hour, minute] = digest.time.split(':').map(Number);
+      const scheduledAt = zonedTimeAt(0, hour, minute, await getUserTimezone(userId, env));
+      if (now < scheduledAt || (digest.lastSent || digest.enabledAt || 0) >= scheduledAt) continue;
+
+      const failure = digest.failure?.slot === scheduledAt ? digest.failure : null;
+      if (failure && (failure.count >= DIGEST_MAX_ATTEMPTS || now < failure.retryAt)) continue;
+
+      sent++;
+      let ok = false;
+      try {
+        ok = await sendDigest(userId, digest.lastSent || now - 24 * 60 * 60 * 1000, env);
+      } catch (e) {
+        console.error('Digest error:', e);
+      }
+
+      if (ok) {
+        digest.lastSent = now;
+        delete digest.failure;
+      } else {
+        const count = (failure?.count || 0) + 1;
+        digest.failure = { slot: scheduledAt, count, retryAt: now + DIGEST_RETRY_DELAY * count };
+      }
+      await env.USER_TOKENS.put(key.name, JSON.stringify(digest));
+    }
+
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+}
+
+// ==================== 标签管理 ====================
+// 获取用户自定义标签并缓存映射（回调中使用序号，避免 callback_data 过长）
+async function getUserLabels(userId, account, env) {
+  const data = await gmailGet(account, '/labels', env);
+  const labels = (data.labels || [])
+    .filter(l => l.type === 'user')
+    .map(l => ({ id: l.id, name: l.name }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .slice(0, 50);
+
+  await env.USER_TOKENS.put(`labelmap:${userId}`, JSON.stringify(labels), { expirationTtl: 3600 });
+  return labels;
+}
+
+async function getLabelFromMap(userId, index, env) {
+  const raw = await env.USER_TOKENS.get(`labelmap:${userId}`);
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw)[index] || null;
+  } catch {
+    return null;
+  }
+}
+
+// Gmail 搜索语法中标签名的空格和斜杠需替换为 -
+function labelToQuery(name) {
+  return `label:${name.replace(/[\s/]+/g, '-')}`;
+}
+
+// 标签菜单中显示未读数的标签数量（按名称排序的前若干个）
+const LABEL_COUNT_MAX = 20;
+
+async function sendLabelMenu(chatId, userId, editMsgId, env) {
+  const account = await getActiveAccount(userId, env);
+  const t = await getTranslator(userId, env);
+
+  if (!account) {
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: t('account.requiredShort'),
+      reply_markup: getMainKeyboard(t.lang)
+    });
+    return;
+  }
+
+  const labels = await getUserLabels(userId, account, env);
+
+  // 标签列表接口不含计数，逐个获取详情；限制并发和数量，避免超出 Workers 子请求上限和 Gmail 限流
+  const details = await mapWithConcurrency(labels.slice(0, LABEL_COUNT_MAX), METADATA_CONCURRENCY, l =>
+    gmailGet(account, `/labels/${l.id}`, env).catch(() => ({}))
+  );
+
+  let text = `${t('labels.title')}\n━━━━━━━━━━━━━━━━━━━━\n\n`;
+  text += `📧 ${escapeHtml(account.email)}\n\n`;
+
+  if (labels.length === 0) {
+    text += t('labels.none');
+  } else {
+    labels.forEach((l, i) => {
+      const unread = details[i]?.messagesUnread || 0;
+      text += `${unread ? '🔵' : '⚪️'} ${escapeHtml(l.name)}${unread ? t('labels.unread', { count: unread }) : ''}\n`;
+    });
+  }
+
+  const buttons = [];
+  labels.forEach((l, i) => {
+    if (i % 2 === 0) buttons.push([]);
+    buttons[buttons.length - 1].push({ text: `🏷️ ${l.name.substring(0, 20)}`, callback_data: `lb:${i}` });
+  });
+  buttons.push([
+    { text: t('labels.new'), callback_data: 'lbnew' },
+    { text: t('common.refresh'), callback_data: 'labels' }
+  ]);
+
+  const method = editMsgId ? 'editMessageText' : 'sendMessage';
+  const params = {
+    chat_id: chatId,
+    text,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  };
+  if (editMsgId) params.message_id = editMsgId;
+
+  await sendTelegram(env.BOT_TOKEN, method, params);
+}
+
+// 邮件详情中的标签选择器：✅ 表示邮件已有该标签，点击切换
+async function sendLabelPicker(chatId, userId, mailId, editMsgId, env) {
+  const account = await getMailAccount(userId, mailId, env);
+  if (!account) return;
+  const t = await getTranslator(userId, env);
+
+  const [labels, mail] = await Promise.all([
+    getUserLabels(userId, account, env),
+    gmailGet(account, `/messages/${mailId}?format=minimal`, env)
+  ]);
+  const mailLabels = mail.labelIds || [];
+
+  const buttons = [];
+  labels.forEach((l, i) => {
+    if (i % 2 === 0) buttons.push([]);
+    const applied = mailLabels.includes(l.id);
+    buttons[buttons.length - 1].push({
+      text: `${applied ? '✅' : '⬜'} ${l.name.substring(0, 20)}`,
+      callback_data: `lbt:${mailId}:${i}`
+    });
+  });
+  buttons.push([{ text: t('labels.new'), callback_data: `lbnewm:${mailId}` }]);
+  buttons.push([{ text: t('snooze.backToMail'), callback_data: `om:${mailId}` }]);
+
+  const method = editMsgId ? 'editMessageText' : 'sendMessage';
+  const params = {
+    chat_id: chatId,
+    text: labels.length ? t('labels.pickerHint') : t('labels.pickerEmpty'),
+    reply_markup: { inline_keyboard: buttons }
+  };
+  if (editMsgId) params.message_id = editMsgId;
+
+  await sendTelegram(env.BOT_TOKEN, method, params);
+}
+
+// 从邮件详情中新建时在该邮件所属账户下创建
+async function createLabel(chatId, userId, name, mailId, env) {
+  const account = await getMailAccount(userId, mailId, env);
+  if (!account) return;
+  const t = await getTranslator(userId, env);
+
+  let label;
+  try {
+    label = await gmailPost(account, '/labels', {
+      name,
+      labelListVisibility: 'labelShow',
+      messageListVisibility: 'show'
+    }, env);
+  } catch (e) {
+    // 名称重复、格式不合法等请求错误直接提示，其他错误交给统一的重试提示
+    if (e.kind !== 'request') throw e;
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: t('labels.createFailed', { error: e.message || t('common.unknownError') })
+    });
+    return;
+  }
+
+  // 从邮件详情中新建时，直接给该邮件加上新标签
+  if (mailId) {
+    await gmailPost(account, `/messages/${mailId}/modify`, { addLabelIds: [label.id] }, env);
+    await sendLabelPicker(chatId, userId, mailId, null, env);
+    return;
+  }
+
+  await sendLabelMenu(chatId, userId, null, env);
+}
+
+// ==================== 写邮件 ====================
+const COMPOSE_PROMPTS = {
+  to: 'compose.promptTo',
+  subject: 'compose.promptSubject',
+  body: 'compose.promptBody'
+};
+
+async function startCompose(chatId, userId, env) {
+  const account = await getActiveAccount(userId, env);
+  const t = await getTranslator(userId, env);
+
+  if (!account) {
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: t('account.requiredShort'),
+      reply_markup: getMainKeyboard(t.lang)
+    });
+    return;
+  }
+
+  await setUserState(userId, { type: 'compose', step: 'to' }, env);
+  await sendComposePrompt(chatId, userId, 'to', env);
+}
+
+// hint 为翻译 key，用于在提示前附加错误说明
+async function sendComposePrompt(chatId, userId, step, env, hint = '') {
+  const t = await getTranslator(userId, env);
+  await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+    chat_id: chatId,
+    text: (hint ? `${t(hint)}\n\n` : '') + t(COMPOSE_PROMPTS[step]),
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: [[{ text: t('common.cancel'), callback_data: 'cancel' }]] }
+  });
+}
+
+// 按当前步骤处理用户输入：to → subject → body → confirm
+async function handleComposeInput(chatId, userId, state, text, env) {
+  if (state.step === 'to') {
+    const to = parseAddressList(text.replace(/[;；，\s]+/g, ','));
+    if (!to.length) {
+      await sendComposePrompt(chatId, userId, 'to', env, 'compose.invalidAddress');
+      return;
+    }
+    await setUserState(userId, { ...state, to, step: 'subject' }, env);
+    await sendComposePrompt(chatId, userId, 'subject', env);
+    return;
+  }
+
+  if (state.step === 'subject') {
+    await setUserState(userId, { ...state, subject: text, step: 'body' }, env);
+    await sendComposePrompt(chatId, userId, 'body', env);
+    return;
+  }
+
+  if (state.step === 'body') {
+    const next = { ...state, body: text, step: 'confirm' };
+    await setUserState(userId, next, env);
+    await sendComposePreview(chatId, userId, next, env);
+    return;
+  }
+
+  // 确认阶段收到文本：提示使用按钮
+  await sendComposePreview(chatId, userId, state, env);
+}
+
+async function sendComposePreview(chatId, userId, state, env) {
+  const active = await env.USER_TOKENS.get(`active:${userId}`);
+  const t = await getTranslator(userId, env);
+
+  let text = `${t('compose.previewTitle')}\n━━━━━━━━━━━━━━━━━━━━\n\n`;
+  text += `${t('compose.fromAccount', { account: escapeHtml(active || t('welcome.noActive')) })}\n`;
+  text += `${t('reply.to', { to: escapeHtml(state.to.map(a => a.email).join(', ')) })}\n`;
+  text += `${t('compose.subject', { subject: escapeHtml(state.subject) })}\n`;
+  text += '━━━━━━━━━━━━━━━━━━━━\n\n';
+  text += escapeHtml(state.body.substring(0, 3000));
+
+  await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+    chat_id: chatId,
+    text,
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: [
+        [
+          { text: t('compose.send'), callback_data: 'cmp:send' },
+          { text: t('compose.restart'), callback_data: 'cmp:restart' }
+        ],
+        [{ text: t('common.cancel'), callback_data: 'cancel' }]
+      ]
+    }
+  });
+}
+
+async function sendComposedMail(chatId, userId, msgId, env) {
+  const state = await getUserState(userId, env);
+  const t = await getTranslator(userId, env);
+
+  if (state?.type !== 'compose' || state.step !== 'confirm') {
+    await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+      chat_id: chatId,
+      message_id: msgId,
+      text: t('compose.expired')
+    });
+    return;
+  }
+
+  const account = await getActiveAccount(userId, env);
+  if (!account) {
+    await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+      chat_id: chatId,
+      message_id: msgId,
+      text: t('account.requiredShort')
+    });
+    return;
+  }
+
+  const raw = buildRawMessage({ to: state.to, subject: state.subject, body: state.body });
+  const result = await sendGmailMessage(account, raw, null, env);
+
+  if (!result.ok) {
+    // 保留草稿，用户可以重试
+    await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+      chat_id: chatId,
+      message_id: msgId,
+      text: getSendErrorText(result, t),
+      reply_markup: {
+        inline_keyboard: [[
+          { text: t('common.retry'), callback_data: 'cmp:send' },
+          { text: t('common.cancel'), callback_data: 'cancel' }
+        ]]
+      }
+    });
+    return;
+  }
+
+  await clearUserState(userId, env);
+  await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+    chat_id: chatId,
+    message_id: msgId,
+    text: `${t('compose.sent')}\n\n👤 ${escapeHtml(account.email)}\n📤 ${escapeHtml(state.to.map(a => a.email).join(', '))}\n📋 ${escapeHtml(state.subject)}`,
+    parse_mode: 'HTML'
+  });
+}
+
+// ==================== 回调处理 ====================
+// Telegram 每个回调只接受一次应答：需要提示的分支调用 answer(text, showAlert)，其余在处理结束后应答空白
+async function handleCallback(query, env) {
+  let answered = false;
+  const answer = async (text, showAlert = false) => {
+    if (answered) return;
+    answered = true;
+    await sendTelegram(env.BOT_TOKEN, 'answerCallbackQuery', {
+      callback_query_id: query.id,
+      ...(text ? { text, show_alert: showAlert } : {})
+    });
+  };
+
+  try {
+    await routeCallback(query, answer, env);
+  } finally {
+    await answer();
+  }
+}
+
+async function routeCallback(query, answer, env) {
+  const chatId = query.message.chat.id;
+  const userId = String(query.from.id);
+  const msgId = query.message.message_id;
+  const data = query.data;
+  const t = await getTranslator(userId, env);
+
+  if (data === 'stats:refresh') {
+    await sendStats(chatId, userId, msgId, env);
+    return;
+  }
+
+  // 重新执行因 Gmail 错误失败的文字消息操作
+  if (data === 'retry') {
+    const saved = await env.USER_TOKENS.get(`retry:${userId}`);
+    if (!saved) return;
+    await env.USER_TOKENS.delete(`retry:${userId}`);
+    await sendTelegram(env.BOT_TOKEN, 'deleteMessage', { chat_id: chatId, message_id: msgId });
+    const { state, ...message } = JSON.parse(saved);
+    if (state) await setUserState(userId, state, env);
+    await handleMessage({ ...message, chat: { id: chatId }, from: { id: userId } }, env);
+    return;
+  }
+
+  if (data === 'acc:refresh') {
+    await sendAccountManager(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data === 'add') {
+    await sendLoginLink(chatId, userId, env);
+    return;
+  }
+
+  if (data === 'sw:all') {
+    await env.USER_TOKENS.put(`allmode:${userId}`, '1');
+    await sendAccountManager(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data.startsWith('sw:')) {
+    await env.USER_TOKENS.delete(`allmode:${userId}`);
+    const index = parseInt(data.substring(3));
+    const accRaw = await env.USER_TOKENS.get(`accmap:${userId}`);
+    if (accRaw) {
+      const accounts = JSON.parse(accRaw);
+      if (accounts[index]) {
+        await env.USER_TOKENS.put(`active:${userId}`, accounts[index]);
+      }
+    }
+    await sendAccountManager(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data === 'forget:yes') {
+    await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+      chat_id: chatId,
+      message_id: msgId,
+      text: t('forget.running')
+    });
+    await forgetUser(userId, env);
+    await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+      chat_id: chatId,
+      message_id: msgId,
+      text: t('forget.done')
+    });
+    return;
+  }
+
+  if (data === 'delmenu') {
+    const accounts = await getAccountList(userId, env);
+    const buttons = accounts.map((email, i) => ([{
+      text: `🗑️ ${email}`,
+      callback_data: `del:${i}`
+    }]));
+    buttons.push([{ text: t('common.back'), callback_data: 'acc:refresh' }]);
+
+    await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+      chat_id: chatId,
+      message_id: msgId,
+      text: t('accounts.removePrompt'),
+      reply_markup: { inline_keyboard: buttons }
+    });
+    return;
+  }
+
+  if (data.startsWith('del:')) {
+    const index = parseInt(data.substring(4));
+    const accounts = await getAccountList(userId, env);
+    const email = accounts[index];
+    
+    if (email) {
+      await revokeGoogleToken(userId, email, env);
+      await removeAccount(userId, email, env);
+    }
+    
+    await sendAccountManager(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data === 'help') {
+    await sendSearchHelp(chatId, userId, env);
+    return;
+  }
+
+  // 重新总结：清除 KV 缓存后重新调用 AI 总结并刷新消息
+  if (data.startsWith('resum:')) {
+    const mailId = data.substring(6);
+    // 先编辑消息显示"总结中"提示，给用户即时反馈
+    await answer(t('detail.resummarizing'));
+    // 删除旧缓存
+    const account = await getMailAccount(userId, mailId, env);
+    if (account) await env.USER_TOKENS.delete(getSummaryCacheKey(userId, account.email, mailId, t.lang));
+    // 重新渲染详情（summarizeEmail 缓存已清，会重新调用 AI）
+    await sendMailDetail(chatId, userId, mailId, msgId, null, env);
+    return;
+  }
+
+  if (data.startsWith('rp:') || data.startsWith('rpa:')) {
+    const replyAll = data.startsWith('rpa:');
+    const mailId = data.substring(replyAll ? 4 : 3);
+    await startReply(chatId, userId, mailId, replyAll, env);
+    return;
+  }
+
+  if (data.startsWith('sz:')) {
+    await sendSnoozeMenu(chatId, userId, data.substring(3), msgId, env);
+    return;
+  }
+
+  if (data.startsWith('szt:')) {
+    const [mailId, key] = data.substring(4).split(':');
+    const preset = getSnoozePresets(await getUserTimezone(userId, env), t.lang).find(p => p.key === key);
+    if (preset) {
+      await snoozeMail(chatId, userId, mailId, preset.time, msgId, env);
+    }
+    return;
+  }
+
+  if (data.startsWith('szc:')) {
+    await setUserState(userId, { type: 'snooze', mailId: data.substring(4) }, env);
+    const timeZone = await getUserTimezone(userId, env);
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: t('snooze.customPrompt', { zone: getTimeZoneLabel(timeZone, t.lang) }),
+      reply_markup: { inline_keyboard: [[{ text: t('common.cancel'), callback_data: 'cancel' }]] }
+    });
+    return;
+  }
+
+  if (data === 'tz:menu') {
+    await sendTimezoneMenu(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data.startsWith('tz:set:')) {
+    const timeZone = COMMON_TIMEZONES[parseInt(data.substring(7))];
+    if (timeZone) {
+      await setUserTimezone(userId, timeZone, env);
+    }
+    await sendTimezoneMenu(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data === 'tz:custom') {
+    await setUserState(userId, { type: 'timezone' }, env);
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: t('tz.customPrompt'),
+      reply_markup: { inline_keyboard: [[{ text: t('common.cancel'), callback_data: 'cancel' }]] }
+    });
+    return;
+  }
+
+  if (data === 'lang:menu') {
+    await sendLanguageMenu(chatId, userId, msgId, env);
+    return;
+  }
+
+  // 切换语言后重新发送主键盘，使底部按钮也换成新语言
+  if (data.startsWith('lang:set:') || data === 'lang:auto') {
+    const lang = data === 'lang:auto' ? null : data.substring(9);
+    if (lang && !SUPPORTED_LANGS.includes(lang)) return;
+    await setUserLang(userId, lang, env);
+    await sendLanguageMenu(chatId, userId, msgId, env);
+
+    const newLang = await getUserLang(userId, env);
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: translate(newLang, 'lang.changed'),
+      reply_markup: getMainKeyboard(newLang)
+    });
+    return;
+  }
+
+  if (data === 'settings') {
+    await sendSettings(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data.startsWith('qh:')) {
+    const quiet = await getQuietConfig(userId, env);
+    const action = data.substring(3);
+
+    if (action === 'custom' || action === 'vipadd') {
+      await setUserState(userId, { type: action === 'custom' ? 'quietwindow' : 'quietvip' }, env);
+      await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+        chat_id: chatId,
+        text: t(action === 'custom' ? 'quiet.windowPrompt' : 'quiet.vipPrompt'),
+        reply_markup: { inline_keyboard: [[{ text: t('common.cancel'), callback_data: 'cancel' }]] }
+      });
+      return;
+    }
+
+    if (action === 'on' || action === 'off') {
+      quiet.enabled = action === 'on';
+    } else if (action.startsWith('win:')) {
+      const preset = QUIET_WINDOWS[parseInt(action.substring(4))];
+      if (preset) [quiet.start, quiet.end] = preset;
+    } else if (action.startsWith('days:')) {
+      const days = action.substring(5);
+      if (QUIET_DAYS[days]) quiet.days = days;
+    } else if (action === 'vip:on' || action === 'vip:off') {
+      quiet.vipBypass = action === 'vip:on';
+    } else if (action === 'vipclear') {
+      quiet.vips = [];
+    }
+
+    if (action !== 'menu') await saveQuietConfig(userId, quiet, env);
+    await sendQuietMenu(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data.startsWith('qm:')) {
+    const raw = await env.USER_TOKENS.get(`quietmap:${userId}`);
+    const entry = raw ? JSON.parse(raw)[parseInt(data.substring(3))] : null;
+    if (!entry) {
+      await answer(t('quiet.expired'), true);
+      return;
+    }
+    await sendMailDetail(chatId, userId, entry.mailId, null, entry.email, env);
+    return;
+  }
+
+  if (data === 'nr:menu') {
+    await sendRulesMenu(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data === 'nr:add') {
+    await sendRuleFieldMenu(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data.startsWith('nr:f:')) {
+    const field = data.substring(5);
+    if (!RULE_FIELDS.includes(field)) return;
+
+    if (field === 'category') {
+      const buttons = RULE_CATEGORIES.map(c => ([{ text: t(`rules.category.${c}`), callback_data: `nr:c:${c}` }]));
+      buttons.push([{ text: t('common.back'), callback_data: 'nr:add' }]);
+      await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+        chat_id: chatId,
+        message_id: msgId,
+        text: t('rules.chooseCategory'),
+        reply_markup: { inline_keyboard: buttons }
+      });
+      return;
+    }
+
+    await setUserState(userId, { type: 'rule', field, step: 'value' }, env);
+    await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+      chat_id: chatId,
+      message_id: msgId,
+      text: t(`rules.valuePrompt.${field}`),
+      reply_markup: { inline_keyboard: [[{ text: t('common.cancel'), callback_data: 'cancel' }]] }
+    });
+    return;
+  }
+
+  if (data.startsWith('nr:c:')) {
+    const category = data.substring(5);
+    if (!RULE_CATEGORIES.includes(category)) return;
+    const state = { type: 'rule', field: 'category', value: category, step: 'action' };
+    await setUserState(userId, state, env);
+    await sendRuleActionMenu(chatId, userId, state, msgId, env);
+    return;
+  }
+
+  if (data.startsWith('nr:a:')) {
+    const action = data.substring(5);
+    const state = await getUserState(userId, env);
+    if (!RULE_ACTIONS.includes(action) || state?.type !== 'rule' || state.step !== 'action') return;
+    await clearUserState(userId, env);
+    await addNotifyRule(userId, state, action, env);
+    await answer(t('rules.added'));
+    await sendRulesMenu(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data.startsWith('nr:del:')) {
+    const active = await env.USER_TOKENS.get(`active:${userId}`);
+    if (!active) return;
+    const rules = await getNotifyRules(userId, active, env);
+    rules.splice(parseInt(data.substring(7)), 1);
+    await saveNotifyRules(userId, active, rules, env);
+    await sendRulesMenu(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data === 'nr:test') {
+    await testNotifyRules(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data === 'dg:menu') {
+    await sendDigestMenu(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data.startsWith('dg:set:')) {
+    await setDigestTime(userId, data.substring(7), env);
+    await sendDigestMenu(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data === 'dg:off') {
+    const digest = await getDigestConfig(userId, env);
+    digest.enabled = false;
+    await env.USER_TOKENS.put(`digest:${userId}`, JSON.stringify(digest));
+    await sendDigestMenu(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data === 'dg:custom') {
+    await setUserState(userId, { type: 'digesttime' }, env);
+    const timeZone = await getUserTimezone(userId, env);
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: t('digest.customPrompt', { zone: getTimeZoneLabel(timeZone, t.lang) }),
+      reply_markup: { inline_keyboard: [[{ text: t('common.cancel'), callback_data: 'cancel' }]] }
+    });
+    return;
+  }
+
+  if (data === 'dg:now') {
+    const digest = await getDigestConfig(userId, env);
+    await sendDigest(userId, digest.lastSent || Date.now() - 24 * 60 * 60 * 1000, env);
+    return;
+  }
+
+  // 摘要中的邮件可能属于其他账户，按所属账户打开，不切换当前账户
+  if (data.startsWith('dgm:')) {
+    const raw = await env.USER_TOKENS.get(`digestmap:${userId}`);
+    const entry = raw ? JSON.parse(raw)[parseInt(data.substring(4))] : null;
+    if (!entry) {
+      await answer(t('digest.expired'), true);
+      return;
+    }
+    await sendMailDetail(chatId, userId, entry.mailId, null, entry.email, env);
+    return;
+  }
+
+  if (data === 'labels') {
+    await sendLabelMenu(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data.startsWith('lb:')) {
+    const label = await getLabelFromMap(userId, parseInt(data.substring(3)), env);
+    if (label) {
+      await sendMailList(chatId, userId, labelToQuery(label.name), null, msgId, env);
+    }
+    return;
+  }
+
+  // lbnewm:邮件id 从邮件的标签选择器中新建，新标签直接加到该邮件上
+  if (data === 'lbnew' || data.startsWith('lbnewm:')) {
+    const mailId = data === 'lbnew' ? null : data.substring(7);
+    await setUserState(userId, { type: 'newlabel', mailId }, env);
+    await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: chatId,
+      text: t('labels.newPrompt'),
+      reply_markup: { inline_keyboard: [[{ text: t('common.cancel'), callback_data: 'cancel' }]] }
+    });
+    return;
+  }
+
+  // lbp:邮件id 打开标签选择器，lbt:邮件id:序号 切换该邮件的标签
+  if (data.startsWith('lbp:') || data.startsWith('lbt:')) {
+    const [, mailId, index] = data.split(':');
+    const account = mailId ? await getMailAccount(userId, mailId, env) : null;
+    if (!account) {
+      await answer(t('detail.linkExpired'), true);
+      return;
+    }
+
+    if (data.startsWith('lbt:')) {
+      const label = await getLabelFromMap(userId, parseInt(index), env);
+      if (!label) return;
+
+      const mail = await gmailGet(account, `/messages/${mailId}?format=minimal`, env);
+      const applied = mail.labelIds?.includes(label.id);
+
+      await gmailPost(account, `/messages/${mailId}/modify`, applied ? { removeLabelIds: [label.id] } : { addLabelIds: [label.id] }, env);
+    }
+
+    await sendLabelPicker(chatId, userId, mailId, msgId, env);
+    return;
+  }
+
+  if (data === 'fwskip') {
+    const state = await getUserState(userId, env);
+    if (state?.type === 'forward' && state.step === 'note') {
+      await clearUserState(userId, env);
+      await sendForward(chatId, userId, state.mailId, state.to, '', env);
+    }
+    return;
+  }
+
+  if (data.startsWith('fw:')) {
+    await startForward(chatId, userId, data.substring(3), env);
+    return;
+  }
+
+  if (data === 'cmp:send') {
+    await sendComposedMail(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data === 'cmp:restart') {
+    await setUserState(userId, { type: 'compose', step: 'to' }, env);
+    await sendComposePrompt(chatId, userId, 'to', env);
+    return;
+  }
+
+  if (data === 'cancel') {
+    await clearUserState(userId, env);
+    await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+      chat_id: chatId,
+      message_id: msgId,
+      text: t('common.cancelled')
+    });
+    return;
+  }
+
+  if (data.startsWith('list:')) {
+    const query = data.substring(5);
+    await sendMailList(chatId, userId, query, null, msgId, env);
+    return;
+  }
+
+if (data.startsWith('ref:')) {
+  let query = data.substring(4);
+  
+  // 尝试从lastquery恢复完整query（处理截断问题）
+  const lastQuery = await env.USER_TOKENS.get(`lastquery:${userId}`);
+  
+  if (lastQuery && lastQuery.startsWith(query) && lastQuery.length > query.length) {
+    // callback_data中的query被截断了，使用完整的lastQuery
+    query = lastQuery;
+  }
+  
+  await sendMailList(chatId, userId, query, null, msgId, env);
+  return;
+}
+
+  // pg:页码，按翻页栈中记录的列表翻页
+  if (data.startsWith('pg:')) {
+    const stackRaw = await env.USER_TOKENS.get(`pages:${userId}`);
+    const query = stackRaw
+      ? JSON.parse(stackRaw).query
+      : await env.USER_TOKENS.get(`lastquery:${userId}`) || 'in:inbox';
+    await sendMailList(chatId, userId, query, parseInt(data.substring(3)) || 0, msgId, env);
+    return;
+  }
+
+  if (data.startsWith('psz:')) {
+    const size = parseInt(data.substring(4));
+    if (PAGE_SIZES.includes(size)) {
+      await env.USER_TOKENS.put(`pagesize:${userId}`, String(size));
+    }
+    await sendSettings(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data === 'tmode') {
+    const threadMode = (await env.USER_TOKENS.get(`threadmode:${userId}`)) === '1';
+    if (threadMode) {
+      await env.USER_TOKENS.delete(`threadmode:${userId}`);
+    } else {
+      await env.USER_TOKENS.put(`threadmode:${userId}`, '1');
+    }
+    const lastQuery = await env.USER_TOKENS.get(`lastquery:${userId}`) || 'in:inbox';
+    await sendMailList(chatId, userId, lastQuery, null, msgId, env);
+    return;
+  }
+
+  if (data.startsWith('t:')) {
+    const index = parseInt(data.substring(2));
+    const entry = await getMailEntry(userId, index, env);
+    if (entry) {
+      if (entry.email) await rememberMailAccount(userId, entry.id, entry.email, env);
+      await sendThreadDetail(chatId, userId, entry.id, null, msgId, env);
+    }
+    return;
+  }
+
+  if (data.startsWith('th:')) {
+    const [threadId, index] = data.substring(3).split(':');
+    await sendThreadDetail(chatId, userId, threadId, parseInt(index), msgId, env);
+    return;
+  }
+
+  if (data.startsWith('om:')) {
+    await sendMailDetail(chatId, userId, data.substring(3), msgId, null, env);
+    return;
+  }
+
+  if (data.startsWith('m:')) {
+    const index = parseInt(data.substring(2));
+    const entry = await getMailEntry(userId, index, env);
+    if (entry) {
+      await sendMailDetail(chatId, userId, entry.id, msgId, entry.email, env);
+    }
+    return;
+  }
+
+  // ✅ 新增：处理新邮件通知按钮 (nm:mailId:action)
+  if (data.startsWith('nm:')) {
+    const parts = data.substring(3).split(':');
+    const mailId = parts[0];
+    const action = parts[1];
+    
+    // ✅ 检查是否过期（24小时）
+    const mailKey = `newmail:${userId}:${mailId}`;
+    const exists = await env.USER_TOKENS.get(mailKey);
+    
+    if (!exists) {
+      // 已过期
+      await answer(t('notify.expired'), true);
+      return;
+    }
+    
+    // 通知可能来自非当前账户，始终作用于邮件所属账户
+    const account = await getMailAccount(userId, mailId, env);
+    if (!account) {
+      await answer(t('notify.noAccount'), true);
+      return;
+    }
+
+    if (action === 'full') {
+      // 显示邮件详情（含AI摘要，推送通知"查看详情"按钮）
+      await sendMailDetail(chatId, userId, mailId, msgId, null, env);
+      return;
+    }
+
+    if (action === 'read') {
+      await gmailPost(account, `/messages/${mailId}/modify`, { removeLabelIds: ['UNREAD'] }, env);
+      await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+        chat_id: chatId,
+        message_id: msgId,
+        text: t('notify.markedRead'),
+        reply_markup: {
+          inline_keyboard: [[
+            { text: t('notify.viewInTelegram'), callback_data: `nm:${mailId}:full` }
+          ]]
+        }
+      });
+      return;
+    }
+
+    if (action === 'delete' || action === 'archive') {
+      await removeMailWithUndo(userId, account, mailId, action, env);
+      await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+        chat_id: chatId,
+        message_id: msgId,
+        text: action === 'archive' ? t('notify.archived') : t('notify.trashed'),
+        reply_markup: {
+          inline_keyboard: [[{ text: t('notify.undo', { minutes: UNDO_TTL / 60 }), callback_data: `undo:nm:${mailId}` }]]
+        }
+      });
+      return;
+    }
+  }
+
+  // do:操作:邮件id，按钮带上邮件 id，打开多个详情时也作用于对应的邮件
+  if (data.startsWith('do:')) {
+    const [, action, mailId] = data.split(':');
+    const account = mailId ? await getMailAccount(userId, mailId, env) : null;
+    
+    // ✅ 添加友好的错误提示
+    if (!account) {
+      await answer(t('detail.linkExpired'), true);
+      return;
+    }
+
+    const actions = {
+      read: { removeLabelIds: ['UNREAD'] },
+      unread: { addLabelIds: ['UNREAD'] },
+      star: { addLabelIds: ['STARRED'] },
+      unstar: { removeLabelIds: ['STARRED'] }
+    };
+
+    if (actions[action]) {
+      await gmailPost(account, `/messages/${mailId}/modify`, actions[action], env);
+      await sendMailDetail(chatId, userId, mailId, msgId, null, env);
+      return;
+    }
+
+    // 归档/删除后回到列表（列表顶部提供撤销按钮）
+    if (action === 'delete' || action === 'archive') {
+      await removeMailWithUndo(userId, account, mailId, action, env);
+      await refreshCurrentList(chatId, userId, msgId, env);
+      return;
+    }
+  }
+
+  // undo：列表中撤销最近一次操作；undo:nm:<mailId>：撤销通知中对应的邮件（旧按钮没有 mailId，撤销最近一次）
+  if (data === 'undo' || data.startsWith('undo:nm')) {
+    const fromNotification = data !== 'undo';
+    const record = await undoRemoval(userId, data.substring(8) || null, env);
+    if (!record) {
+      await answer(t('undo.expired'), true);
+      return;
+    }
+
+    if (fromNotification) {
+      await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+        chat_id: chatId,
+        message_id: msgId,
+        text: t(record.action === 'archive' ? 'undo.archiveDone' : 'undo.deleteDone'),
+        reply_markup: {
+          inline_keyboard: [[
+            { text: t('notify.viewInTelegram'), callback_data: `nm:${record.mailId}:full` }
+          ]]
+        }
+      });
+      return;
+    }
+
+    await refreshCurrentList(chatId, userId, msgId, env);
+    return;
   }
 
-  if (data.startsWith('del:')) {
-    const index = parseInt(data.substring(4));
-    const accounts = await getAccountList(userId, env);
-    const email = accounts[index];
+  if (data.startsWith('sf:')) {
+    const email = data.substring(3);
+    await sendMailList(chatId, userId, `from:${email}`, null, msgId, env);
+    return;
+  }
+
+  // att:邮件id:序号
+  if (data.startsWith('att:')) {
+    const [, mailId, indexText] = data.split(':');
+    const index = parseInt(indexText);
+    const account = mailId ? await getMailAccount(userId, mailId, env) : null;
     
-    if (email) {
-      await env.USER_TOKENS.delete(`token:${userId}:${email}`);
-      await env.USER_TOKENS.delete(`push:${userId}:${email}`);
-      accounts.splice(index, 1);
-      await env.USER_TOKENS.put(`accounts:${userId}`, JSON.stringify(accounts));
-      
-      const active = await env.USER_TOKENS.get(`active:${userId}`);
-      if (active === email && accounts.length > 0) {
-        await env.USER_TOKENS.put(`active:${userId}`, accounts[0]);
-      } else if (accounts.length === 0) {
-        await env.USER_TOKENS.delete(`active:${userId}`);
+    // ✅ 添加友好的错误提示
+    if (!account) {
+      await answer(t('detail.linkExpired'), true);
+      return;
+    }
+
+    const mail = await gmailGet(account, `/messages/${mailId}?format=full`, env);
+    const attachments = getAttachments(mail.payload);
+    const att = attachments[index];
+
+    if (!att) return;
+
+    const attData = await gmailGet(account, `/messages/${mailId}/attachments/${att.id}`, env);
+
+    const base64 = attData.data.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+
+    const formData = new FormData();
+    formData.append('chat_id', chatId);
+    formData.append('document', new Blob([bytes]), att.name);
+
+    await fetch(`https://api.telegram.org/bot${env.BOT_TOKEN}/sendDocument`, {
+      method: 'POST',
+      body: formData
+    });
+    return;
+  }
+
+  // 多选：sl:on 进入，sl:off 退出，sl:all 切换全选所有匹配，sl:view 返回列表，sl:序号 切换勾选
+  if (data.startsWith('sl:')) {
+    const action = data.substring(3);
+
+    if (action === 'on') {
+      const lastQuery = await env.USER_TOKENS.get(`lastquery:${userId}`) || 'in:inbox';
+      const threadMode = (await env.USER_TOKENS.get(`threadmode:${userId}`)) === '1';
+      await saveSelection(userId, { query: lastQuery, thread: threadMode, items: {}, all: false }, env);
+    } else if (action === 'off') {
+      await env.USER_TOKENS.delete(`select:${userId}`);
+    } else if (action !== 'view') {
+      const selection = await getSelection(userId, env);
+      if (!selection) {
+        await answer(t('select.expired'), true);
+        return;
+      }
+
+      if (action === 'all') {
+        selection.all = !selection.all;
+        selection.items = {};
+      } else if (selection.all) {
+        await answer(t('select.allActive'), true);
+        return;
+      } else {
+        const entry = await getMailEntry(userId, parseInt(action), env);
+        if (!entry) return;
+        if (selection.items[entry.id]) {
+          delete selection.items[entry.id];
+        } else {
+          selection.items[entry.id] = entry.email || await env.USER_TOKENS.get(`active:${userId}`);
+        }
       }
+      await saveSelection(userId, selection, env);
     }
-    
-    await sendAccountManager(chatId, userId, msgId, env);
+
+    await refreshCurrentList(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data.startsWith('sa:') || data.startsWith('sab:')) {
+    const selection = await getSelection(userId, env);
+    if (!selection || (!selection.all && !Object.keys(selection.items).length)) {
+      await answer(t(selection ? 'select.empty' : 'select.expired'), true);
+      return;
+    }
+
+    if (data === 'sa:label') {
+      await sendBulkLabelPicker(chatId, userId, msgId, env);
+      return;
+    }
+
+    if (data.startsWith('sab:')) {
+      const label = await getLabelFromMap(userId, parseInt(data.substring(4)), env);
+      if (!label) return;
+      await runBulkAction(chatId, userId, selection, async (account) => {
+        const labelId = await findLabelId(account, label.name, env);
+        return labelId ? { addLabelIds: [labelId] } : null;
+      }, `-${labelToQuery(label.name)}`, data, msgId, env);
+      return;
+    }
+
+    const action = data.substring(3);
+    const body = BULK_ACTIONS[action];
+    if (body) await runBulkAction(chatId, userId, selection, async () => body, BULK_ACTION_FILTERS[action], data, msgId, env);
+    return;
+  }
+
+  if (data === 'back') {
+    await refreshCurrentList(chatId, userId, msgId, env);
+    return;
+  }
+
+  if (data === 'readall') {
+    await markAllRead(chatId, userId, env);
+    return;
+  }
+
+  if (data === 'ra:go') {
+    await runMarkAllRead(chatId, userId, msgId, env);
     return;
   }
 
-  if (data === 'help') {
-    await sendSearchHelp(chatId, env);
-    return;
+  if (data === 'push:on' || data === 'push:off') {
+    const enable = data === 'push:on';
+    const active = await env.USER_TOKENS.get(`active:${userId}`);
+    
+    if (!active) return;
+
+    if (enable && env.PUBSUB_TOPIC) {
+      const account = await getActiveAccount(userId, env);
+      if (account) {
+        const watchData = await gmailPost(account, '/watch', {
+          topicName: env.PUBSUB_TOPIC,
+          labelIds: ['INBOX']
+        }, env);
+        
+        await env.USER_TOKENS.put(`push:${userId}:${active}`, JSON.stringify({
+          enabled: true,
+          historyId: watchData.historyId,
+          expiry: watchData.expiration,
+          syncedAt: Date.now()
+        }));
+        await addPushSubscriber(active, userId, env);
+      }
+    } else {
+      await env.USER_TOKENS.put(`push:${userId}:${active}`, JSON.stringify({ enabled: false }));
+      await removePushSubscriber(active, userId, env);
+    }
+
+    await sendSettings(chatId, userId, null, env);
+  }
+}
+
+// ==================== 通知规则 ====================
+// 每个账户一组规则，按顺序匹配，第一条命中的规则决定通知方式；都不命中时正常通知
+const RULE_FIELDS = ['from', 'domain', 'subject', 'category', 'label'];
+const RULE_ACTIONS = ['loud', 'silent', 'nosummary', 'skip'];
+// 分类对应的 Gmail 系统标签（"主要"标签页在 Gmail 中是 CATEGORY_PERSONAL）
+const RULE_CATEGORY_LABELS = {
+  primary: 'CATEGORY_PERSONAL',
+  social: 'CATEGORY_SOCIAL',
+  promotions: 'CATEGORY_PROMOTIONS',
+  updates: 'CATEGORY_UPDATES',
+  forums: 'CATEGORY_FORUMS'
+};
+const RULE_CATEGORIES = Object.keys(RULE_CATEGORY_LABELS);
+const MAX_RULES = 20;
+const RULE_TEST_COUNT = 5;
+
+async function getNotifyRules(userId, email, env) {
+  const raw = await env.USER_TOKENS.get(`rules:${userId}:${email}`);
+  try {
+    return raw ? JSON.parse(raw) : [];
+  } catch {
+    return [];
+  }
+}
+
+async function saveNotifyRules(userId, email, rules, env) {
+  if (rules.length) {
+    await env.USER_TOKENS.put(`rules:${userId}:${email}`, JSON.stringify(rules));
+  } else {
+    await env.USER_TOKENS.delete(`rules:${userId}:${email}`);
+  }
+}
+
+// mail 需包含 payload.headers 与 labelIds（metadata 或 full 格式均可）
+function ruleMatches(rule, mail) {
+  const headers = mail.payload?.headers || [];
+  const getHeader = (n) => headers.find(h => h.name.toLowerCase() === n.toLowerCase())?.value || '';
+  const value = rule.value.toLowerCase();
+
+  switch (rule.field) {
+    case 'from':
+      return getHeader('From').toLowerCase().includes(value);
+    case 'domain': {
+      const domain = (parseAddressList(getHeader('From'))[0]?.email || '').split('@')[1]?.toLowerCase() || '';
+      return domain === value || domain.endsWith(`.${value}`);
+    }
+    case 'subject': {
+      const subject = getHeader('Subject').toLowerCase();
+      return value.split(/[,，]/).map(k => k.trim()).filter(Boolean).some(k => subject.includes(k));
+    }
+    case 'category':
+      return (mail.labelIds || []).includes(RULE_CATEGORY_LABELS[value]);
+    case 'label':
+      return (mail.labelIds || []).includes(rule.labelId);
+    default:
+      return false;
+  }
+}
+
+// 返回 { action, index }，index 为命中规则的序号（未命中为 -1）
+function evaluateNotifyRules(rules, mail) {
+  const index = rules.findIndex(rule => ruleMatches(rule, mail));
+  return { action: index >= 0 ? rules[index].action : 'loud', index };
+}
+
+function describeRule(rule, t) {
+  const value = rule.field === 'category' ? t(`rules.category.${rule.value}`) : rule.value;
+  return `${t(`rules.field.${rule.field}`)}: ${escapeHtml(value)} → ${t(`rules.action.${rule.action}`)}`;
+}
+
+async function sendRulesMenu(chatId, userId, msgId, env) {
+  const t = await getTranslator(userId, env);
+  const active = await env.USER_TOKENS.get(`active:${userId}`);
+  if (!active) return;
+
+  const rules = await getNotifyRules(userId, active, env);
+
+  let text = `${t('rules.title')}\n━━━━━━━━━━━━━━━━━━━━\n\n`;
+  text += `📧 ${escapeHtml(active)}\n\n`;
+  text += `${t('rules.description')}\n\n`;
+
+  if (rules.length === 0) {
+    text += t('rules.none');
+  } else {
+    rules.forEach((rule, i) => {
+      text += `${i + 1}. ${describeRule(rule, t)}\n`;
+    });
+  }
+
+  const buttons = [];
+  rules.forEach((rule, i) => {
+    if (i % 4 === 0) buttons.push([]);
+    buttons[buttons.length - 1].push({ text: `🗑️ ${i + 1}`, callback_data: `nr:del:${i}` });
+  });
+  const actionRow = [];
+  if (rules.length < MAX_RULES) actionRow.push({ text: t('rules.add'), callback_data: 'nr:add' });
+  actionRow.push({ text: t('rules.test'), callback_data: 'nr:test' });
+  buttons.push(actionRow);
+  buttons.push([{ text: t('common.back'), callback_data: 'settings' }]);
+
+  const method = msgId ? 'editMessageText' : 'sendMessage';
+  const params = {
+    chat_id: chatId,
+    text,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  };
+  if (msgId) params.message_id = msgId;
+
+  await sendTelegram(env.BOT_TOKEN, method, params);
+}
+
+async function sendRuleFieldMenu(chatId, userId, msgId, env) {
+  const t = await getTranslator(userId, env);
+  const buttons = RULE_FIELDS.map(field => ([{ text: t(`rules.field.${field}`), callback_data: `nr:f:${field}` }]));
+  buttons.push([{ text: t('common.back'), callback_data: 'nr:menu' }]);
+
+  await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+    chat_id: chatId,
+    message_id: msgId,
+    text: t('rules.chooseField'),
+    reply_markup: { inline_keyboard: buttons }
+  });
+}
+
+// 条件选择完成后（state 中已有 field/value），选择动作
+async function sendRuleActionMenu(chatId, userId, state, msgId, env) {
+  const t = await getTranslator(userId, env);
+  const value = state.field === 'category' ? t(`rules.category.${state.value}`) : state.value;
+  const buttons = RULE_ACTIONS.map(action => ([{ text: t(`rules.action.${action}`), callback_data: `nr:a:${action}` }]));
+  buttons.push([{ text: t('common.cancel'), callback_data: 'cancel' }]);
+
+  const method = msgId ? 'editMessageText' : 'sendMessage';
+  const params = {
+    chat_id: chatId,
+    text: t('rules.chooseAction', { condition: `${t(`rules.field.${state.field}`)}: ${escapeHtml(value)}` }),
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  };
+  if (msgId) params.message_id = msgId;
+
+  await sendTelegram(env.BOT_TOKEN, method, params);
+}
+
+// 处理规则条件的文本输入；标签按名称解析为标签 ID 保存
+async function handleRuleInput(chatId, userId, state, text, env) {
+  const t = await getTranslator(userId, env);
+  const value = text.trim().replace(/^@/, '');
+  const next = { ...state, value, step: 'action' };
+
+  if (state.field === 'label') {
+    const account = await getActiveAccount(userId, env);
+    if (!account) return;
+    const data = await gmailGet(account, '/labels', env);
+    const label = (data.labels || []).find(l => l.name.toLowerCase() === value.toLowerCase() || l.id === value.toUpperCase());
+    if (!label) {
+      await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+        chat_id: chatId,
+        text: t('rules.labelNotFound', { name: value }),
+        reply_markup: { inline_keyboard: [[{ text: t('common.cancel'), callback_data: 'cancel' }]] }
+      });
+      return;
+    }
+    next.value = label.name;
+    next.labelId = label.id;
+  }
+
+  await setUserState(userId, next, env);
+  await sendRuleActionMenu(chatId, userId, next, null, env);
+}
+
+async function addNotifyRule(userId, state, action, env) {
+  const active = await env.USER_TOKENS.get(`active:${userId}`);
+  if (!active) return;
+
+  const rules = await getNotifyRules(userId, active, env);
+  if (rules.length >= MAX_RULES) return;
+
+  const rule = { field: state.field, value: state.value, action };
+  if (state.labelId) rule.labelId = state.labelId;
+  rules.push(rule);
+  await saveNotifyRules(userId, active, rules, env);
+}
+
+// 用最近几封收件箱邮件试运行规则，显示每封邮件将如何通知
+async function testNotifyRules(chatId, userId, msgId, env) {
+  const t = await getTranslator(userId, env);
+  const account = await getActiveAccount(userId, env);
+  if (!account) return;
+
+  const rules = await getNotifyRules(userId, account.email, env);
+  const listData = await gmailGet(account, `/messages?labelIds=INBOX&maxResults=${RULE_TEST_COUNT}`, env);
+
+  const mails = await Promise.all((listData.messages || []).map(m =>
+    gmailGet(account, `/messages/${m.id}?format=metadata&metadataHeaders=From&metadataHeaders=Subject`, env).catch(() => null)
+  ));
+
+  let text = `${t('rules.testTitle')}\n━━━━━━━━━━━━━━━━━━━━\n\n`;
+  const valid = mails.filter(m => m?.payload);
+  if (!valid.length) {
+    text += t('rules.testEmpty');
+  }
+  valid.forEach((mail, i) => {
+    const headers = mail.payload.headers || [];
+    const getHeader = (n) => headers.find(h => h.name.toLowerCase() === n.toLowerCase())?.value || '';
+    const sender = parseAddressList(getHeader('From'))[0];
+    const { action, index } = evaluateNotifyRules(rules, mail);
+
+    text += `${i + 1}. <b>${escapeHtml((getHeader('Subject') || t('mail.noSubject')).substring(0, 40))}</b>\n`;
+    text += `    👤 ${escapeHtml(sender ? (sender.name || sender.email) : getHeader('From'))}\n`;
+    text += `    ${t(`rules.action.${action}`)} · ${index >= 0 ? t('rules.matched', { index: index + 1 }) : t('rules.default')}\n\n`;
+  });
+
+  await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+    chat_id: chatId,
+    message_id: msgId,
+    text,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: [[{ text: t('common.back'), callback_data: 'nr:menu' }]] }
+  });
+}
+
+// ==================== 免打扰 ====================
+// 时段可跨午夜（如 23:00–08:00），跨午夜的时段归属开始那一天
+const QUIET_WINDOWS = [['23:00', '08:00'], ['22:00', '07:00'], ['00:00', '07:00']];
+const QUIET_DAYS = {
+  everyday: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+};
+const QUIET_QUEUE_MAX = 100;
+// 汇总一直发送失败（如用户停用了 Bot）时，排队的通知 7 天后自动过期
+const QUIET_QUEUE_TTL = 7 * 86400;
+
+async function getQuietConfig(userId, env) {
+  const raw = await env.USER_TOKENS.get(`quiet:${userId}`);
+  const defaults = { enabled: false, start: '23:00', end: '08:00', days: 'everyday', vipBypass: false, vips: [] };
+  try {
+    return raw ? { ...defaults, ...JSON.parse(raw) } : defaults;
+  } catch {
+    return defaults;
+  }
+}
+
+async function saveQuietConfig(userId, quiet, env) {
+  await env.USER_TOKENS.put(`quiet:${userId}`, JSON.stringify(quiet));
+}
+
+function isQuietTime(quiet, timeZone, date = new Date()) {
+  if (!quiet.enabled) return false;
+
+  const local = toZonedTime(date, timeZone);
+  const minutes = local.getUTCHours() * 60 + local.getUTCMinutes();
+  const today = local.getUTCDay();
+  const days = QUIET_DAYS[quiet.days] || QUIET_DAYS.everyday;
+  const toMinutes = (hhmm) => {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+  };
+  const start = toMinutes(quiet.start);
+  const end = toMinutes(quiet.end);
+
+  if (start === end) return false;
+  if (start < end) return days.includes(today) && minutes >= start && minutes < end;
+  // 跨午夜：今天开始的时段，或昨天开始延续到今天的时段
+  return (days.includes(today) && minutes >= start) || (days.includes((today + 6) % 7) && minutes < end);
+}
+
+// VIP 可填写完整邮箱或域名
+function isVipSender(quiet, mail) {
+  if (!quiet.vipBypass || !quiet.vips.length) return false;
+  const from = mail.payload?.headers?.find(h => h.name.toLowerCase() === 'from')?.value || '';
+  const address = (parseAddressList(from)[0]?.email || '').toLowerCase();
+  const domain = address.split('@')[1] || '';
+  return quiet.vips.some(vip => vip === address || vip === domain || domain.endsWith(`.${vip}`));
+}
+
+// 每封邮件单独一个 key（quietq:${userId}:${email}:${mailId}），并发推送互不覆盖；内容放在 metadata 中，列出即可读取
+async function queueQuietNotification(userId, email, mail, env) {
+  const headers = mail.payload?.headers || [];
+  const getHeader = (n) => headers.find(h => h.name.toLowerCase() === n.toLowerCase())?.value || '';
+  const sender = parseAddressList(getHeader('From'))[0];
+
+  await env.USER_TOKENS.put(`quietq:${userId}:${email}:${mail.id}`, '1', {
+    expirationTtl: QUIET_QUEUE_TTL,
+    metadata: {
+      from: (sender ? (sender.name || sender.email) : getHeader('From')).substring(0, 60),
+      subject: getHeader('Subject').substring(0, 100),
+      date: parseInt(mail.internalDate) || Date.now()
+    }
+  });
+}
+
+// 读取用户排队的通知，按时间排序；返回 { queue, keys }，keys 为发送后需删除的 key（含旧版的整体队列 key）
+async function loadQuietQueue(userId, env) {
+  const queue = [];
+  const keys = [];
+  const prefix = `quietq:${userId}:`;
+  let cursor;
+  do {
+    const list = await env.USER_TOKENS.list({ prefix, cursor });
+    for (const key of list.keys) {
+      const sep = key.name.lastIndexOf(':');
+      queue.push({ ...key.metadata, email: key.name.substring(prefix.length, sep), mailId: key.name.substring(sep + 1) });
+      keys.push(key.name);
+    }
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+
+  const legacy = await env.USER_TOKENS.get(`quietq:${userId}`);
+  if (legacy) {
+    queue.push(...JSON.parse(legacy).filter(item => !keys.includes(`${prefix}${item.email}:${item.mailId}`)));
+    keys.push(`quietq:${userId}`);
+  }
+
+  queue.sort((a, b) => a.date - b.date);
+  return { queue: queue.slice(-QUIET_QUEUE_MAX), keys };
+}
+
+async function sendQuietMenu(chatId, userId, msgId, env) {
+  const t = await getTranslator(userId, env);
+  const quiet = await getQuietConfig(userId, env);
+  const timeZone = await getUserTimezone(userId, env);
+
+  let text = `${t('quiet.title')}\n━━━━━━━━━━━━━━━━━━━━\n\n`;
+  text += `${t('quiet.description')}\n\n`;
+  text += `${t('quiet.status', { status: quiet.enabled ? t('common.on') : t('common.off') })}\n`;
+  text += `${t('quiet.window', { start: quiet.start, end: quiet.end, zone: getTimeZoneLabel(timeZone, t.lang) })}\n`;
+  text += `${t('quiet.days', { days: t(`quiet.days.${quiet.days}`) })}\n`;
+  text += `${t('quiet.vip', {
+    status: quiet.vipBypass ? t('common.on') : t('common.off'),
+    list: quiet.vips.length ? escapeHtml(quiet.vips.join(', ')) : t('quiet.vipNone')
+  })}`;
+
+  const buttons = [
+    [{
+      text: quiet.enabled ? t('quiet.turnOff') : t('quiet.turnOn'),
+      callback_data: quiet.enabled ? 'qh:off' : 'qh:on'
+    }],
+    QUIET_WINDOWS.map(([start, end], i) => ({
+      text: `${quiet.start === start && quiet.end === end ? '✅ ' : ''}${start}–${end}`,
+      callback_data: `qh:win:${i}`
+    })),
+    [{ text: t('quiet.customWindow'), callback_data: 'qh:custom' }],
+    Object.keys(QUIET_DAYS).map(key => ({
+      text: `${quiet.days === key ? '✅ ' : ''}${t(`quiet.days.${key}`)}`,
+      callback_data: `qh:days:${key}`
+    })),
+    [
+      {
+        text: quiet.vipBypass ? t('quiet.vipOff') : t('quiet.vipOn'),
+        callback_data: quiet.vipBypass ? 'qh:vip:off' : 'qh:vip:on'
+      },
+      { text: t('quiet.vipAdd'), callback_data: 'qh:vipadd' }
+    ]
+  ];
+  if (quiet.vips.length) buttons.push([{ text: t('quiet.vipClear'), callback_data: 'qh:vipclear' }]);
+  buttons.push([{ text: t('common.back'), callback_data: 'settings' }]);
+
+  const method = msgId ? 'editMessageText' : 'sendMessage';
+  const params = {
+    chat_id: chatId,
+    text,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  };
+  if (msgId) params.message_id = msgId;
+
+  await sendTelegram(env.BOT_TOKEN, method, params);
+}
+
+// 免打扰结束后发送一条汇总消息，列出期间收到的所有邮件；返回是否发送成功
+async function sendQuietSummary(userId, queue, env) {
+  const t = await getTranslator(userId, env);
+  const timeZone = await getUserTimezone(userId, env);
+
+  let text = `${t('quiet.summaryTitle', { count: queue.length })}\n━━━━━━━━━━━━━━━━━━━━\n\n`;
+  const accounts = [...new Set(queue.map(item => item.email))];
+  for (const email of accounts) {
+    text += `📧 <b>${escapeHtml(email)}</b>\n`;
+    queue.forEach((item, i) => {
+      if (item.email !== email) return;
+      text += `${i + 1}. ${escapeHtml((item.subject || t('mail.noSubject')).substring(0, 40))}\n`;
+      text += `    👤 ${escapeHtml(item.from.substring(0, 30))} · ${formatDate(new Date(item.date), 'short', timeZone)}\n`;
+    });
+    text += '\n';
+  }
+
+  // Telegram 单条消息上限 4096 字符
+  if (text.length > 4000) text = text.substring(0, text.lastIndexOf('\n', 3900)) + '\n…';
+
+  const mailMap = queue.map(item => ({ email: item.email, mailId: item.mailId }));
+  await env.USER_TOKENS.put(`quietmap:${userId}`, JSON.stringify(mailMap), { expirationTtl: 86400 });
+
+  const buttons = [];
+  for (let i = 0; i < Math.min(mailMap.length, 20); i += 5) {
+    const row = [];
+    for (let j = i; j < Math.min(i + 5, mailMap.length, 20); j++) {
+      row.push({ text: `📧 ${j + 1}`, callback_data: `qm:${j}` });
+    }
+    buttons.push(row);
+  }
+
+  const result = await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+    chat_id: userId,
+    text,
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: buttons }
+  });
+  return !!result?.ok;
+}
+
+// 定时任务：免打扰时段结束后投递排队的通知；汇总发送成功后才删除队列，失败时下次重试
+async function processQuietQueues(env) {
+  const userIds = new Set();
+  let cursor;
+  do {
+    const list = await env.USER_TOKENS.list({ prefix: 'quietq:', cursor });
+    for (const key of list.keys) userIds.add(key.name.split(':')[1]);
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+
+  for (const userId of userIds) {
+    const quiet = await getQuietConfig(userId, env);
+    if (isQuietTime(quiet, await getUserTimezone(userId, env))) continue;
+
+    try {
+      const { queue, keys } = await loadQuietQueue(userId, env);
+      if (queue.length && !(await sendQuietSummary(userId, queue, env))) continue;
+      for (const key of keys) await env.USER_TOKENS.delete(key);
+    } catch (e) {
+      console.error('Quiet queue error:', e);
+    }
+  }
+}
+
+// ==================== 新邮件通知 ====================
+// title 为翻译 key，稍后提醒重新推送时使用不同标题
+// options.silent: 静默推送（不响铃）；options.summary: 是否附带 AI 摘要（否则显示邮件片段）
+// 返回通知是否已成功发出
+async function sendNewMailNotification(userId, email, mailId, mail, env, title = 'notify.title', options = {}) {
+  const { silent = false, summary = true } = options;
+  const t = await getTranslator(userId, env);
+  const headers = mail.payload?.headers || [];
+  const from = headers.find(h => h.name === 'From')?.value || '';
+  const subject = headers.find(h => h.name === 'Subject')?.value || t('mail.noSubject');
+
+  let fromName = from;
+  const emailMatch = from.match(/[\w.+-]+@[\w.-]+\.[a-z]+/i);
+  if (emailMatch) {
+    fromName = from.replace(emailMatch[0], '').replace(/[<>"]/g, '').trim() || emailMatch[0];
   }
 
-  // 重新总结：清除 KV 缓存后重新调用 AI 总结并刷新消息
-  if (data.startsWith('resum:')) {
-    const mailId = data.substring(6);
-    // 先编辑消息显示"总结中"提示，给用户即时反馈
-    await sendTelegram(env.BOT_TOKEN, 'answerCallbackQuery', {
-      callback_query_id: query.id,
-      text: '⏳ 正在重新总结...'
+  // 为每封新邮件创建独立的过期标记（24小时），并记录所属账户，按钮操作不切换当前账户
+  const mailKey = `newmail:${userId}:${mailId}`;
+  await env.USER_TOKENS.put(mailKey, mailId, { expirationTtl: 86400, metadata: { email } });
+  await rememberMailAccount(userId, mailId, email, env);
+
+  const viewLink = await generateViewLink(userId, mailId, email, env);
+
+  const date = formatDate(headers.find(h => h.name === 'Date')?.value || new Date(), 'short', await getUserTimezone(userId, env));
+
+  const verification = extractVerificationInfo(mail);
+  const header = `${t(title)}\n━━━━━━━━━━━━━━━━\n\n📧 ${escapeHtml(email)}\n👤 ${escapeHtml(fromName)}\n📋 ${escapeHtml(subject)}\n🕐 ${escapeHtml(date)}\n` +
+    (verification ? `\n${formatVerificationText(verification, t)}` : '') +
+    '━━━━━━━━━━━━━━━━\n\n';
+
+  const replyMarkup = {
+    inline_keyboard: [
+      ...(verification ? [getVerificationButtons(verification, t)] : []),
+      [{ text: t('notify.viewOriginal'), url: viewLink }],
+      [{ text: t('notify.viewDetail'), callback_data: `nm:${mailId}:full` }],
+      [
+        { text: t('detail.markRead'), callback_data: `nm:${mailId}:read` },
+        { text: t('detail.reply'), callback_data: `rp:${mailId}` }
+      ],
+      [
+        { text: t('notify.archive'), callback_data: `nm:${mailId}:archive` },
+        { text: t('notify.snooze'), callback_data: `sz:${mailId}` },
+        { text: t('notify.delete'), callback_data: `nm:${mailId}:delete` }
+      ]
+    ]
+  };
+
+  if (!summary) {
+    const notifyResp = await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: userId,
+      text: `${header}${t('notify.snippet')}\n${escapeHtml(mail.snippet || '')}`,
+      parse_mode: 'HTML',
+      disable_notification: silent,
+      reply_markup: replyMarkup
     });
-    // 删除旧缓存
-    await env.USER_TOKENS.delete(`aisum:${mailId}`);
-    // 重新渲染详情（summarizeEmail 缓存已清，会重新调用 AI）
-    await sendMailDetail(chatId, userId, mailId, msgId, false, env);
-    return;
+    await rememberMailMessage(userId, notifyResp?.result?.message_id, mailId, email, env);
+    return Boolean(notifyResp?.ok);
   }
 
-  if (data.startsWith('list:')) {
-    const query = data.substring(5);
-    await sendMailList(chatId, userId, query, null, msgId, env);
-    return;
+  // 含验证码时先立即推送，AI 总结完成后再补充到同一条消息
+  let notifyMsgId = null;
+  if (verification) {
+    const notifyResp = await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+      chat_id: userId,
+      text: `${header}${t('detail.summarizing')}`,
+      parse_mode: 'HTML',
+      disable_notification: silent,
+      reply_markup: replyMarkup
+    });
+    notifyMsgId = notifyResp?.result?.message_id;
+    if (!notifyMsgId) return false;
+    await rememberMailMessage(userId, notifyMsgId, mailId, email, env);
   }
 
-if (data.startsWith('ref:')) {
-  let query = data.substring(4);
-  
-  // 尝试从lastquery恢复完整query（处理截断问题）
-  const lastQuery = await env.USER_TOKENS.get(`lastquery:${userId}`);
-  
-  if (lastQuery && lastQuery.startsWith(query) && lastQuery.length > query.length) {
-    // callback_data中的query被截断了，使用完整的lastQuery
-    query = lastQuery;
-  }
-  
-  await sendMailList(chatId, userId, query, null, msgId, env);
-  return;
-}
+  // 调用 AI 总结（结果会缓存到 KV，用户点击查看时无需重新总结）
+  const aiSummary = await summarizeEmail(userId, email, mailId, mail.payload, env, t.lang);
+  const notifyText = `${header}${t('detail.aiSummary')}\n${aiSummary}`;
 
-  if (data.startsWith('pg:')) {
-    const ts = data.substring(3);
-    const pageKey = `page:${userId}:${ts}`;
-    const pageData = await env.USER_TOKENS.get(pageKey);
-    if (pageData) {
-      const { query, token } = JSON.parse(pageData);
-      await sendMailList(chatId, userId, query, token, msgId, env);
-    }
-    return;
+  if (notifyMsgId) {
+    await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
+      chat_id: userId,
+      message_id: notifyMsgId,
+      text: notifyText,
+      parse_mode: 'HTML',
+      reply_markup: replyMarkup
+    });
+    return true;
   }
 
-  if (data.startsWith('m:')) {
-    const index = parseInt(data.substring(2));
-    const mailId = await getMailId(userId, index, env);
-    if (mailId) {
-      await sendMailDetail(chatId, userId, mailId, msgId, false, env);
-    }
-    return;
-  }
+  const notifyResp = await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
+    chat_id: userId,
+    text: notifyText,
+    parse_mode: 'HTML',
+    disable_notification: silent,
+    reply_markup: replyMarkup
+  });
+  await rememberMailMessage(userId, notifyResp?.result?.message_id, mailId, email, env);
+  return Boolean(notifyResp?.ok);
+}
 
-  // ✅ 新增：处理新邮件通知按钮 (nm:mailId:action)
-  if (data.startsWith('nm:')) {
-    const parts = data.substring(3).split(':');
-    const mailId = parts[0];
-    const action = parts[1];
-    
-    // ✅ 检查是否过期（24小时）
-    const mailKey = `newmail:${userId}:${mailId}`;
-    const exists = await env.USER_TOKENS.get(mailKey);
-    
-    if (!exists) {
-      // 已过期
-      await sendTelegram(env.BOT_TOKEN, 'answerCallbackQuery', {
-        callback_query_id: query.id,
-        text: '⚠️ 邮件通知已过期（超过24小时），请从邮件列表查看',
-        show_alert: true
-      });
-      return;
-    }
-    
-    const account = await getActiveAccount(userId, env);
-    if (!account) {
-      await sendTelegram(env.BOT_TOKEN, 'answerCallbackQuery', {
-        callback_query_id: query.id,
-        text: '⚠️ 账户未绑定或已过期',
-        show_alert: true
-      });
-      return;
-    }
+// ==================== 推送订阅索引 ====================
+// pushsubs:${email} 记录开启了推送的用户，收到推送时直接按邮箱查找，不再扫描所有 push: 记录
+async function getPushSubscribers(email, env) {
+  return JSON.parse(await env.USER_TOKENS.get(`pushsubs:${email}`) || '[]');
+}
 
-    if (action === 'full') {
-      // 显示邮件详情（含AI摘要，推送通知"查看详情"按钮）
-      await sendMailDetail(chatId, userId, mailId, msgId, false, env);
-      return;
-    }
+async function addPushSubscriber(email, userId, env) {
+  const subscribers = await getPushSubscribers(email, env);
+  if (subscribers.includes(String(userId))) return;
+  subscribers.push(String(userId));
+  await env.USER_TOKENS.put(`pushsubs:${email}`, JSON.stringify(subscribers));
+}
 
-    if (action === 'read') {
-      await fetch(`https://gmail.googleapis.com/gmail/v1/users/me/messages/${mailId}/modify`, {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${account.access_token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({ removeLabelIds: ['UNREAD'] })
-      });
-      await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
-        chat_id: chatId,
-        message_id: msgId,
-        text: '✅ 已标记为已读',
-        reply_markup: {
-          inline_keyboard: [[
-            { text: '📖 在 Telegram 查看', callback_data: `nm:${mailId}:full` }
-          ]]
-        }
-      });
-      return;
-    }
+async function removePushSubscriber(email, userId, env) {
+  const subscribers = await getPushSubscribers(email, env);
+  const rest = subscribers.filter(id => id !== String(userId));
+  if (rest.length === subscribers.length) return;
+  if (rest.length > 0) {
+    await env.USER_TOKENS.put(`pushsubs:${email}`, JSON.stringify(rest));
+  } else {
+    await env.USER_TOKENS.delete(`pushsubs:${email}`);
+  }
+}
 
-    if (action === 'delete') {
-      await fetch(`https://gmail.googleapis.com/gmail/v1/users/me/messages/${mailId}/trash`, {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${account.access_token}` }
-      });
-      await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
-        chat_id: chatId,
-        message_id: msgId,
-        text: '🗑️ 已移至垃圾箱'
-      });
-      return;
-    }
+// 按 push: 记录同步索引（重新绑定已开启推送的账户时使用）
+async function syncPushSubscriber(userId, email, env) {
+  const pushData = JSON.parse(await env.USER_TOKENS.get(`push:${userId}:${email}`) || '{}');
+  if (pushData.enabled) {
+    await addPushSubscriber(email, userId, env);
+  } else {
+    await removePushSubscriber(email, userId, env);
   }
+}
 
-  if (data.startsWith('do:')) {
-    const action = data.substring(3);
-    const mailId = await env.USER_TOKENS.get(`current:${userId}`);
-    
-    // ✅ 添加友好的错误提示
-    if (!mailId) {
-      await sendTelegram(env.BOT_TOKEN, 'answerCallbackQuery', {
-        callback_query_id: query.id,
-        text: '⚠️ 邮件链接已过期，请从邮件列表重新打开',
-        show_alert: true
-      });
-      return;
-    }
+// 索引上线前开启的推送只有 push: 记录，首次使用时扫描一次建立索引
+async function ensurePushIndex(env) {
+  if (await env.USER_TOKENS.get('pushindex')) return;
 
-    const account = await getActiveAccount(userId, env);
-    if (!account) return;
+  let cursor;
+  do {
+    const list = await env.USER_TOKENS.list({ prefix: 'push:', cursor });
+    for (const key of list.keys) {
+      const parts = key.name.split(':');
+      await syncPushSubscriber(parts[1], parts.slice(2).join(':'), env);
+    }
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
 
-    const actions = {
-      read: { removeLabelIds: ['UNREAD'] },
-      unread: { addLabelIds: ['UNREAD'] },
-      star: { addLabelIds: ['STARRED'] },
-      unstar: { removeLabelIds: ['STARRED'] }
-    };
+  await env.USER_TOKENS.put('pushindex', String(Date.now()));
+}
 
-    if (actions[action]) {
-      await fetch(`https://gmail.googleapis.com/gmail/v1/users/me/messages/${mailId}/modify`, {
-        method: 'POST',
-        headers: {
-          Authorization: `Bearer ${account.access_token}`,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(actions[action])
-      });
-      await sendMailDetail(chatId, userId, mailId, msgId, false, env);
-      return;
-    }
+// ==================== Pub/Sub 推送 ====================
+// 已处理邮件的去重记录保留 7 天，Pub/Sub 重复投递或重试时不会重复通知
+const ANNOUNCED_TTL = 7 * 86400;
+// historyId 失效后全量同步时最多补发的邮件数
+const RESYNC_MAX = 50;
+// 单封邮件最多尝试投递的次数，超过后放弃，避免一封邮件一直失败（如用户停用了 Bot）卡住整个账户的推送进度
+const DELIVER_MAX_ATTEMPTS = 3;
+
+async function isMailAnnounced(userId, email, mailId, env) {
+  return Boolean(await env.USER_TOKENS.get(`announced:${userId}:${email}:${mailId}`));
+}
 
-    if (action === 'delete') {
-      await fetch(`https://gmail.googleapis.com/gmail/v1/users/me/messages/${mailId}/trash`, {
-        method: 'POST',
-        headers: { Authorization: `Bearer ${account.access_token}` }
-      });
-      await sendTelegram(env.BOT_TOKEN, 'editMessageText', {
-        chat_id: chatId,
-        message_id: msgId,
-        text: '🗑️ 已移至垃圾箱',
-        reply_markup: { inline_keyboard: [[{ text: '⬅️ 返回列表', callback_data: 'back' }]] }
-      });
-      return;
-    }
-  }
+async function markMailAnnounced(userId, email, mailId, env) {
+  await env.USER_TOKENS.put(`announced:${userId}:${email}:${mailId}`, '1', { expirationTtl: ANNOUNCED_TTL });
+}
 
-  if (data.startsWith('sf:')) {
-    const email = data.substring(3);
-    await sendMailList(chatId, userId, `from:${email}`, null, msgId, env);
-    return;
-  }
+async function unmarkMailAnnounced(userId, email, mailId, env) {
+  await env.USER_TOKENS.delete(`announced:${userId}:${email}:${mailId}`);
+}
 
-  if (data.startsWith('att:')) {
-    const index = parseInt(data.substring(4));
-    const mailId = await env.USER_TOKENS.get(`current:${userId}`);
-    const account = await getActiveAccount(userId, env);
-    
-    // ✅ 添加友好的错误提示
-    if (!mailId || !account) {
-      await sendTelegram(env.BOT_TOKEN, 'answerCallbackQuery', {
-        callback_query_id: query.id,
-        text: '⚠️ 邮件链接已过期，请从邮件列表重新打开',
-        show_alert: true
-      });
-      return;
-    }
+// 记录一次投递失败，返回是否还应重试
+async function recordDeliverFailure(userId, email, mailId, env) {
+  const key = `notifyfail:${userId}:${email}:${mailId}`;
+  const attempts = (parseInt(await env.USER_TOKENS.get(key) || '0') || 0) + 1;
+  await env.USER_TOKENS.put(key, String(attempts), { expirationTtl: ANNOUNCED_TTL });
+  return attempts < DELIVER_MAX_ATTEMPTS;
+}
 
-    const mailResp = await fetch(
-      `https://gmail.googleapis.com/gmail/v1/users/me/messages/${mailId}?format=full`,
-      { headers: { Authorization: `Bearer ${account.access_token}` } }
-    );
-    const mail = await mailResp.json();
-    const attachments = getAttachments(mail.payload);
-    const att = attachments[index];
+// 分页读取 startHistoryId 之后新增到收件箱的邮件（按时间从旧到新）
+// startHistoryId 过旧时 Gmail 返回 404，此时返回 null
+async function fetchAddedMessageIds(account, startHistoryId, env) {
+  const ids = [];
+  let historyId = null;
+  let pageToken = null;
 
-    if (!att) return;
+  do {
+    const params = new URLSearchParams({ startHistoryId, historyTypes: 'messageAdded', labelId: 'INBOX' });
+    if (pageToken) params.set('pageToken', pageToken);
+    const data = await gmailGetIfExists(account, `/history?${params}`, env);
+    if (!data) return null;
 
-    const attResp = await fetch(
-      `https://gmail.googleapis.com/gmail/v1/users/me/messages/${mailId}/attachments/${att.id}`,
-      { headers: { Authorization: `Bearer ${account.access_token}` } }
-    );
-    const attData = await attResp.json();
+    for (const h of data.history || []) {
+      for (const m of h.messagesAdded || []) {
+        if (!ids.includes(m.message.id)) ids.push(m.message.id);
+      }
+    }
+    historyId = data.historyId || historyId;
+    pageToken = data.nextPageToken;
+  } while (pageToken);
 
-    const base64 = attData.data.replace(/-/g, '+').replace(/_/g, '/');
-    const binary = atob(base64);
-    const bytes = new Uint8Array(binary.length);
-    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return { ids, historyId };
+}
 
-    const formData = new FormData();
-    formData.append('chat_id', chatId);
-    formData.append('document', new Blob([bytes]), att.name);
+// 全量同步：列出上次同步之后收到的收件箱邮件（从旧到新）；没有同步记录时不补发
+async function fetchInboxSince(account, since, env) {
+  if (!since) return [];
 
-    await fetch(`https://api.telegram.org/bot${env.BOT_TOKEN}/sendDocument`, {
-      method: 'POST',
-      body: formData
-    });
-    return;
-  }
+  const params = new URLSearchParams({
+    labelIds: 'INBOX',
+    q: `after:${Math.floor(since / 1000)}`,
+    maxResults: String(RESYNC_MAX)
+  });
+  const data = await gmailGet(account, `/messages?${params}`, env);
+  return (data.messages || []).map(m => m.id).reverse();
+}
 
-  if (data === 'back') {
-    const lastQuery = await env.USER_TOKENS.get(`lastquery:${userId}`) || 'in:inbox';
-    await sendMailList(chatId, userId, lastQuery, null, msgId, env);
-    return;
+// 按通知规则和免打扰设置处理一封新邮件；返回是否已处理完成（失败或抛出错误时下次推送会重试）
+async function deliverNewMail(userId, email, mailId, account, rules, quiet, quietNow, env) {
+  // 获取完整邮件内容（用于AI总结）
+  const mail = await gmailGetIfExists(account, `/messages/${mailId}?format=full`, env);
+  // 邮件已被删除，无需通知
+  if (!mail) return true;
+
+  const { action } = evaluateNotifyRules(rules, mail);
+  if (action === 'skip') return true;
+  // 免打扰期间先排队，结束后由定时任务汇总发送
+  if (quietNow && !isVipSender(quiet, mail)) {
+    await queueQuietNotification(userId, email, mail, env);
+    return true;
   }
+  return sendNewMailNotification(userId, email, mailId, mail, env, 'notify.title', {
+    silent: action === 'silent',
+    summary: action !== 'nosummary'
+  });
+}
 
-  if (data === 'readall') {
-    await markAllRead(chatId, userId, env);
-    return;
+// 处理一个订阅者的新邮件；全部送达后才推进 historyId，否则下次推送从原位置重试（已通知的邮件会跳过）
+async function processPushForUser(userId, email, pushData, pushHistoryId, env) {
+  const account = await getAccountByEmail(userId, email, env);
+  if (!account) return;
+
+  let mailIds;
+  let nextHistoryId;
+  const added = await fetchAddedMessageIds(account, pushData.historyId || pushHistoryId, env);
+  if (added) {
+    mailIds = added.ids;
+    nextHistoryId = added.historyId || pushHistoryId;
+  } else {
+    console.warn(`History ${pushData.historyId} expired for ${email}, resyncing`);
+    mailIds = await fetchInboxSince(account, pushData.syncedAt, env);
+    nextHistoryId = pushHistoryId;
   }
 
-  if (data === 'push:on' || data === 'push:off') {
-    const enable = data === 'push:on';
-    const active = await env.USER_TOKENS.get(`active:${userId}`);
-    
-    if (!active) return;
-
-    if (enable && env.PUBSUB_TOPIC) {
-      const account = await getActiveAccount(userId, env);
-      if (account) {
-        const watchResp = await fetch('https://gmail.googleapis.com/gmail/v1/users/me/watch', {
-          method: 'POST',
-          headers: {
-            Authorization: `Bearer ${account.access_token}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            topicName: env.PUBSUB_TOPIC,
-            labelIds: ['INBOX']
-          })
-        });
-        const watchData = await watchResp.json();
-        
-        await env.USER_TOKENS.put(`push:${userId}:${active}`, JSON.stringify({
-          enabled: true,
-          historyId: watchData.historyId,
-          expiry: watchData.expiration
-        }));
-      }
+  const rules = await getNotifyRules(userId, email, env);
+  const quiet = await getQuietConfig(userId, env);
+  const quietNow = isQuietTime(quiet, await getUserTimezone(userId, env));
+
+  // 先标记再投递，缩小并发推送同时通知同一封邮件的窗口；投递失败时撤销标记以便重试，多次失败后保留标记放弃该邮件
+  // KV 没有原子的检查并写入，且写入需要时间才能全局可见，这里的去重只能尽量而为
+  let delivered = true;
+  for (const mailId of mailIds) {
+    if (await isMailAnnounced(userId, email, mailId, env)) continue;
+    await markMailAnnounced(userId, email, mailId, env);
+    let ok = false;
+    try {
+      ok = await deliverNewMail(userId, email, mailId, account, rules, quiet, quietNow, env);
+    } catch (e) {
+      console.error('Deliver mail error:', e);
+    }
+    if (ok) continue;
+    if (await recordDeliverFailure(userId, email, mailId, env)) {
+      await unmarkMailAnnounced(userId, email, mailId, env);
+      delivered = false;
     } else {
-      await env.USER_TOKENS.put(`push:${userId}:${active}`, JSON.stringify({ enabled: false }));
+      console.error(`Giving up notifying ${mailId} for ${email} after ${DELIVER_MAX_ATTEMPTS} attempts`);
     }
-
-    await sendSettings(chatId, userId, env);
   }
+
+  if (!delivered) return;
+  pushData.historyId = nextHistoryId;
+  pushData.syncedAt = Date.now();
+  await env.USER_TOKENS.put(`push:${userId}:${email}`, JSON.stringify(pushData));
 }
 
-// ==================== Pub/Sub 推送 ====================
 async function handlePubSubPush(message, env) {
   if (!message.message?.data) return;
 
   const data = JSON.parse(atob(message.message.data));
   const { emailAddress, historyId } = data;
 
-  const list = await env.USER_TOKENS.list({ prefix: 'push:' });
-  
-  for (const key of list.keys) {
-    const pushData = JSON.parse(await env.USER_TOKENS.get(key.name) || '{}');
-    if (!pushData.enabled) continue;
-
-    const parts = key.name.split(':');
-    const usrId = parts[1];
-    const email = parts.slice(2).join(':');
-    
-    if (email !== emailAddress) continue;
-
-    const tokenRaw = await env.USER_TOKENS.get(`token:${usrId}:${email}`);
-    if (!tokenRaw) continue;
+  await ensurePushIndex(env);
 
-    let token = JSON.parse(tokenRaw);
-    
-    if (Date.now() > token.expiry - 60000) {
-      const refreshed = await refreshToken(token.refresh_token, env);
-      if (refreshed) {
-        token.access_token = refreshed.access_token;
-        token.expiry = Date.now() + refreshed.expires_in * 1000;
-        await env.USER_TOKENS.put(`token:${usrId}:${email}`, JSON.stringify(token));
-      } else {
-        continue;
-      }
-    }
+  for (const usrId of await getPushSubscribers(emailAddress, env)) {
+    const pushData = JSON.parse(await env.USER_TOKENS.get(`push:${usrId}:${emailAddress}`) || '{}');
+    if (!pushData.enabled) continue;
 
-    const historyResp = await fetch(
-      `https://gmail.googleapis.com/gmail/v1/users/me/history?startHistoryId=${pushData.historyId || historyId}&historyTypes=messageAdded&labelId=INBOX`,
-      { headers: { Authorization: `Bearer ${token.access_token}` } }
-    );
-    const historyData = await historyResp.json();
-
-    if (historyData.history) {
-      for (const h of historyData.history) {
-        if (h.messagesAdded) {
-          for (const m of h.messagesAdded) {
-            // 获取完整邮件内容（用于AI总结）
-            const mailResp = await fetch(
-              `https://gmail.googleapis.com/gmail/v1/users/me/messages/${m.message.id}?format=full`,
-              { headers: { Authorization: `Bearer ${token.access_token}` } }
-            );
-            const mail = await mailResp.json();
-            const headers = mail.payload?.headers || [];
-            const from = headers.find(h => h.name === 'From')?.value || '';
-            const subject = headers.find(h => h.name === 'Subject')?.value || '(无主题)';
-
-            let fromName = from;
-            const emailMatch = from.match(/[\w.+-]+@[\w.-]+\.[a-z]+/i);
-            if (emailMatch) {
-              fromName = from.replace(emailMatch[0], '').replace(/[<>"]/g, '').trim() || emailMatch[0];
-            }
-
-            await env.USER_TOKENS.put(`active:${usrId}`, email);
-            
-            // 为每封新邮件创建独立的过期标记（24小时）
-            const mailKey = `newmail:${usrId}:${m.message.id}`;
-            await env.USER_TOKENS.put(mailKey, m.message.id, { expirationTtl: 86400 });
-
-            // 调用 AI 总结（结果会缓存到 KV，用户点击查看时无需重新总结）
-            const aiSummary = await summarizeEmail(m.message.id, mail.payload, env);
-
-            const viewLink = await generateViewLink(usrId, m.message.id, email, env);
-
-            const notifyText = `🔔 <b>新邮件</b>\n━━━━━━━━━━━━━━━━\n\n📧 ${escapeHtml(email)}\n👤 ${escapeHtml(fromName)}\n📋 ${escapeHtml(subject)}\n━━━━━━━━━━━━━━━━\n\n🤖 <b>AI摘要</b>\n${aiSummary}`;
-
-            await sendTelegram(env.BOT_TOKEN, 'sendMessage', {
-              chat_id: usrId,
-              text: notifyText,
-              parse_mode: 'HTML',
-              reply_markup: {
-                inline_keyboard: [
-                  [{ text: '🌐 在浏览器中查看原文', url: viewLink }],
-                  [{ text: '📖 在 Telegram 查看详情', callback_data: `nm:${m.message.id}:full` }],
-                  [
-                    { text: '✅ 已读', callback_data: `nm:${m.message.id}:read` },
-                    { text: '🗑️ 删除', callback_data: `nm:${m.message.id}:delete` }
-                  ]
-                ]
-              }
-            });
-          }
-        }
-      }
+    try {
+      await processPushForUser(usrId, emailAddress, pushData, historyId, env);
+    } catch (e) {
+      console.error('Push process error:', e);
     }
-
-    pushData.historyId = historyData.historyId || historyId;
-    await env.USER_TOKENS.put(key.name, JSON.stringify(pushData));
   }
 }
 
@@ -2195,50 +6827,48 @@ async function handlePubSubPush(message, env) {
 async function renewAllWatches(env) {
   if (!env.PUBSUB_TOPIC) return;
 
-  const list = await env.USER_TOKENS.list({ prefix: 'push:' });
-  
-  for (const key of list.keys) {
-    const pushData = JSON.parse(await env.USER_TOKENS.get(key.name) || '{}');
-    if (!pushData.enabled) continue;
-
-    const parts = key.name.split(':');
-    const usrId = parts[1];
-    const email = parts.slice(2).join(':');
-
-    const tokenRaw = await env.USER_TOKENS.get(`token:${usrId}:${email}`);
-    if (!tokenRaw) continue;
-
-    let token = JSON.parse(tokenRaw);
-    
-    if (Date.now() > token.expiry - 60000) {
-      const refreshed = await refreshToken(token.refresh_token, env);
-      if (refreshed) {
-        token.access_token = refreshed.access_token;
-        token.expiry = Date.now() + refreshed.expires_in * 1000;
-        await env.USER_TOKENS.put(`token:${usrId}:${email}`, JSON.stringify(token));
-      } else {
-        continue;
+  // 定时任务会频繁触发（稍后提醒需要），Watch 每 12 小时续期一次即可
+  const lastRenew = parseInt(await env.USER_TOKENS.get('watchrenew') || '0');
+  if (Date.now() - lastRenew < 12 * 60 * 60 * 1000) return;
+  await env.USER_TOKENS.put('watchrenew', String(Date.now()));
+
+  await ensurePushIndex(env);
+
+  let cursor;
+  do {
+    const list = await env.USER_TOKENS.list({ prefix: 'pushsubs:', cursor });
+    for (const key of list.keys) {
+      const email = key.name.substring('pushsubs:'.length);
+      for (const usrId of await getPushSubscribers(email, env)) {
+        try {
+          await renewWatch(usrId, email, env);
+        } catch (e) {
+          console.error('Renew watch error:', e);
+        }
       }
     }
+    cursor = list.list_complete ? null : list.cursor;
+  } while (cursor);
+}
 
-    const watchResp = await fetch('https://gmail.googleapis.com/gmail/v1/users/me/watch', {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${token.access_token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        topicName: env.PUBSUB_TOPIC,
-        labelIds: ['INBOX']
-      })
-    });
-    const watchData = await watchResp.json();
+async function renewWatch(usrId, email, env) {
+  const key = `push:${usrId}:${email}`;
+  const pushData = JSON.parse(await env.USER_TOKENS.get(key) || '{}');
+  if (!pushData.enabled) return;
 
-    if (watchData.historyId) {
-      pushData.historyId = watchData.historyId;
-      pushData.expiry = watchData.expiration;
-      await env.USER_TOKENS.put(key.name, JSON.stringify(pushData));
-    }
+  const account = await getAccountByEmail(usrId, email, env);
+  if (!account) return;
+
+  const watchData = await gmailPost(account, '/watch', {
+    topicName: env.PUBSUB_TOPIC,
+    labelIds: ['INBOX']
+  }, env);
+
+  if (watchData.historyId) {
+    // 已有 historyId 时保留，避免跳过尚未送达的邮件
+    pushData.historyId = pushData.historyId || watchData.historyId;
+    pushData.expiry = watchData.expiration;
+    await env.USER_TOKENS.put(key, JSON.stringify(pushData));
   }
 }
 
@@ -2927,13 +7557,14 @@ function getHomePage() {
 }
 
 
-function getResultPage(success, message) {
+function getResultPage(success, message, lang = DEFAULT_LANG) {
+  const t = (key, params) => translate(lang, key, params);
   const color = success ? '#10b981' : '#ef4444';
   const icon = success ? '✓' : '✕';
-  const title = success ? '授权成功' : '授权失败';
+  const title = success ? t('web.authSuccess') : t('web.authFailed');
   
   return `<!DOCTYPE html>
-<html><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1">
+<html lang="${lang}"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1">
 <title>${title}</title>
 <style>
 *{margin:0;padding:0;box-sizing:border-box}
@@ -2956,8 +7587,8 @@ color:#fff;text-decoration:none;border-radius:12px;font-weight:600;font-size:16p
 <div class="icon">${icon}</div>
 <h1>${title}</h1>
 <div class="email">${success ? '📧 ' + message : '❌ ' + message}</div>
-<a href="tg://resolve" class="btn">📱 打开 Telegram</a>
-${success ? '<div class="features"><span class="feature">🔒 安全加密</span><span class="feature">⚡ 实时同步</span><span class="feature">🌐 网页预览</span></div>' : ''}
+<a href="tg://resolve" class="btn">${t('web.openTelegram')}</a>
+${success ? `<div class="features"><span class="feature">${t('web.featureSecure')}</span><span class="feature">${t('web.featureSync')}</span><span class="feature">${t('web.featurePreview')}</span></div>` : ''}
 </div></body></html>`;
 }
 
@@ -3108,7 +7739,7 @@ function getPrivacyPage() {
       <p>您拥有以下权利：</p>
       <ul>
         <li><strong>访问权</strong>：您可以随时通过 Telegram Bot 访问您的数据</li>
-        <li><strong>删除权</strong>：您可以在 Bot 中删除账户，我们将立即删除所有相关数据</li>
+        <li><strong>删除权</strong>：您可以在 Bot 中删除账户，或发送 /forgetme 删除全部数据，我们将立即撤销 Google 授权并删除所有相关数据</li>
         <li><strong>撤销授权</strong>：您可以在 <a href="https://myaccount.google.com/permissions" target="_blank" style="color: #667eea;">Google 账户权限设置</a> 中随时撤销应用授权</li>
         <li><strong>数据导出</strong>：您的所有邮件数据始终在您的 Gmail 账户中，可以随时导出</li>
       </ul>